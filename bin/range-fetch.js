@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { run } from '../lib/cli.js'
+
+// A paused download still holds its file and timers open, so leave explicitly
+process.exit(await run(process.argv.slice(2)))
@@ -1,225 +1,1002 @@
+import { filePickerSink, nodeFileSink, readableStreamSink, restoreSink } from './lib/sinks.js'
+import { mergeRanges, missingRanges, takeRange, rangesLength } from './lib/ranges.js'
+import { createChunkSizer } from './lib/chunking.js'
+import { defaultSessionStore, partFileSession, createSessionId } from './lib/sessions.js'
+import {
+  ResourceChangedError,
+  RangesIgnoredError,
+  RangeResponseError,
+  IntegrityError,
+  HttpStatusError,
+  NetworkError,
+  TimeoutError,
+  RetryExhaustedError,
+  DownloadAbortedError
+} from './lib/errors.js'
+import { parseIntegrity, parseDigestHeaders, createVerifier } from './lib/integrity.js'
+import { createRetryPolicy } from './lib/retry.js'
+import {
+  requestHeaders,
+  bufferedReader,
+  validatorChanged,
+  network,
+  withTimeout,
+  isRetryable,
+  header,
+  httpError,
+  strongETag,
+  ifRangeValue,
+  responseValidator,
+  probeFile,
+  checkRangeResponse
+} from './lib/http.js'
+import { createRateLimiter } from './lib/throttle.js'
+import { canTransition, isFinalState, eventIterator } from './lib/events.js'
+import { fetchByteranges, MAX_RANGES_PER_REQUEST } from './lib/multipart.js'
+
+export {
+  fileHandleSink,
+  filePickerSink,
+  opfsSink,
+  memorySink,
+  writableStreamSink,
+  readableStreamSink,
+  nodeFileSink
+} from './lib/sinks.js'
+export { indexedDBSessionStore, fileSessionStore } from './lib/sessions.js'
+export { createDownloadManager } from './lib/manager.js'
+export { createRangeReader } from './lib/reader.js'
+export { handleDownloads, serviceWorkerDownload } from './lib/service-worker.js'
+export { createRateLimiter } from './lib/throttle.js'
+export { DownloadState } from './lib/events.js'
+export {
+  ResourceChangedError,
+  RangesIgnoredError,
+  RangeResponseError,
+  IntegrityError,
+  HttpStatusError,
+  NetworkError,
+  TimeoutError,
+  RetryExhaustedError,
+  DownloadAbortedError
+} from './lib/errors.js'
+
+const SPEED_WINDOW = 3000
+
+// Consecutive failed attempts before a mirror is only used when no healthy one is left
+const MIRROR_FAILURE_LIMIT = 3
+
 export function rangeRequestFetcher({
   url,
   fileName = 'downloaded-file',
+  path,
+  stream = false,
   token,
+  getToken,
+  getUrl,
+  credentialsTTL,
   headers = {},
   chunkSize = 1024 * 1024 * 100,
+  adaptiveChunkSize = false,
   maxRetries = 10,
+  retry,
+  requestTimeout,
+  idleTimeout,
+  concurrency = 1,
+  multiRange = false,
+  maxBytesPerSecond,
+  rateLimiter,
+  sink,
+  persist = false,
+  sessionId,
+  sessionStore,
+  checkpointInterval,
+  onResourceChange = 'error',
+  integrity,
+  verifyDigestHeaders = false,
+  progressInterval = 250,
   onProgress = () => {},
+  onProgressDetail,
   onStatus = () => {}
 }) {
+  const besideFile = path && !sessionStore ? partFileSession(path) : null
+  const store = sessionStore || (besideFile ? besideFile.store : null) || (persist ? defaultSessionStore() : null)
+  const retryPolicy = createRetryPolicy(retry, maxRetries)
+  const limiter = rateLimiter || createRateLimiter(maxBytesPerSecond)
+  const chunkSizer = createChunkSizer(chunkSize, adaptiveChunkSize)
+  if (store && !sessionId) sessionId = besideFile ? besideFile.id : createSessionId()
+  if (path && !sink) sink = nodeFileSink(path)
+  // Cancelling the stream cancels the download
+  if (stream && !sink) sink = readableStreamSink({ onCancel: () => abort() })
+
   let totalSize = 0
   let downloadedSize = 0
-  let currentChunkProgress = 0
-  let writer
+  const controllers = new Set()
+  const rangeControllers = new Set()
+  // Requests pause() gave up, as opposed to ones aborted for any other reason
+  const releasedRequests = new WeakSet()
+  let resumeGate = null
+  let frontierGate = null
+  const pendingWrites = new Map()
+  let writeQueue = Promise.resolve()
+  let writeCursor = 0
+  let failure = null
+  let completedRanges = []
+  let validator = {}
+  let sessionLoaded = false
+  let expectations = []
+  let verifier = null
+  let rangesSupported = true
+  let pendingResponse = null
+  let lastCheckpoint = Date.now()
+  let sinkOpened = false
   let isPaused = false
   let isAborted = false
-  let currentController = null
-  let progressInterval = null
+  let state = 'preparing'
+  let phase = 'preparing'
+  const target = new EventTarget()
+  let progressTimer = null
+  const activeChunks = new Map()
+  let totalRetries = 0
+  let speed = null
+  let lastSample = { time: Date.now(), bytes: 0 }
+  let mirrors = []
+  let credentialsVersion = 0
+  let credentialsFetchedAt = 0
+  let refreshing = null
+
+  const emit = (type, detail) => target.dispatchEvent(new CustomEvent(type, { detail }))
 
-  const buildHeaders = (extra = {}) => {
-    const h = { ...headers, ...extra }
-    if (token && !h.Authorization) h.Authorization = `Bearer ${token}`
-    return h
+  // Moves the state table doesn't allow, such as resume() after abort(), are ignored
+  const transition = (next) => {
+    if (!canTransition(state, next)) return false
+    const previous = state
+    state = next
+    emit('statechange', { state, previous })
+    return true
   }
 
-  const updateProgress = () => {
-    if (totalSize > 0) {
-      const totalProgress = downloadedSize + currentChunkProgress
-      onProgress(Math.floor((totalProgress / totalSize) * 100))
+  // The phase keeps advancing while paused, and resume() returns to it
+  const enterPhase = (next) => {
+    phase = next
+    if (!isPaused) transition(next)
+  }
+
+  const buildHeaders = (extra = {}) => requestHeaders(headers, token, extra)
+
+  // Callers pass the version their request used, so a burst of 401s from parallel chunks refreshes once
+  const refreshCredentials = (staleVersion = credentialsVersion) => {
+    if (staleVersion !== credentialsVersion) return Promise.resolve()
+    if (!refreshing) {
+      refreshing = (async () => {
+        const [nextToken, nextUrl] = await Promise.all([getToken ? getToken() : token, getUrl ? getUrl() : url])
+        token = nextToken
+        url = nextUrl
+        if (mirrors.length) mirrors[0].url = url
+        credentialsFetchedAt = Date.now()
+        credentialsVersion++
+      })().finally(() => {
+        refreshing = null
+      })
     }
+    return refreshing
+  }
+
+  const ensureCredentials = async () => {
+    if (!getToken && !getUrl) return
+    const expired = credentialsTTL && Date.now() - credentialsFetchedAt >= credentialsTTL
+    if (!credentialsFetchedAt || expired) await refreshCredentials()
+  }
+
+  const isAuthFailure = (err) =>
+    Boolean(getToken || getUrl) && err instanceof HttpStatusError && (err.status === 401 || err.status === 403)
+
+  const nextRetry = (error, attempt, range, target = url) => retryPolicy.next({
+    attempt,
+    error,
+    range,
+    url: target,
+    retryAfter: error instanceof HttpStatusError ? error.retryAfter : null
+  })
+
+  // Exponential moving average over roughly the last few seconds, robust to irregular sampling
+  const sampleSpeed = () => {
+    const now = Date.now()
+    const elapsed = now - lastSample.time
+    if (elapsed <= 0) return
+    const current = Math.max(0, downloadedSize - lastSample.bytes) / (elapsed / 1000)
+    const weight = 1 - Math.exp(-elapsed / SPEED_WINDOW)
+    speed = speed === null ? current : speed + (current - speed) * weight
+    lastSample = { time: now, bytes: downloadedSize }
+  }
+
+  const getStats = () => {
+    const bytesPerSecond = isPaused || speed === null ? 0 : speed
+    const remaining = totalSize > 0 ? totalSize - downloadedSize : null
+    return {
+      loaded: downloadedSize,
+      total: totalSize > 0 ? totalSize : null,
+      percent: totalSize > 0 ? Math.floor((downloadedSize / totalSize) * 100) : null,
+      bytesPerSecond,
+      eta: remaining !== null && bytesPerSecond > 0 ? remaining / bytesPerSecond : null,
+      retries: totalRetries,
+      chunkSize: chunkSizer.size,
+      mirrors: mirrors.map(({ url, state, bytes, ranges, failures }) => ({
+        url,
+        state,
+        bytes,
+        ranges: ranges.map(range => [...range]),
+        failures
+      })),
+      chunks: [...activeChunks.values()].map(chunk => ({ ...chunk }))
+    }
+  }
+
+  // Without a known size, progress is reported in bytes
+  const updateProgress = () => {
+    sampleSpeed()
+    if (totalSize > 0) onProgress(Math.floor((downloadedSize / totalSize) * 100))
+    else if (!rangesSupported) onProgress(null, downloadedSize)
+    const stats = getStats()
+    if (onProgressDetail) onProgressDetail(stats)
+    emit('progress', stats)
   }
 
   const startProgressUpdates = () => {
-    if (progressInterval) clearInterval(progressInterval)
-    progressInterval = setInterval(() => {
+    if (progressTimer) clearInterval(progressTimer)
+    lastSample = { time: Date.now(), bytes: downloadedSize }
+    progressTimer = setInterval(() => {
       if (!isPaused && !isAborted) updateProgress()
-    }, 250) // More frequent updates (4 times per second)
+    }, progressInterval)
   }
 
   const stopProgressUpdates = () => {
-    if (progressInterval) {
-      clearInterval(progressInterval)
-      progressInterval = null
+    if (progressTimer) {
+      clearInterval(progressTimer)
+      progressTimer = null
     }
   }
 
-  const waitWhilePaused = () => {
-    return new Promise((resolve) => {
-      const checkPause = () => {
-        if (isAborted) throw new Error('Download aborted')
-        if (!isPaused) {
-          resolve()
-        } else {
-          setTimeout(checkPause, 100)
-        }
+  // resume() and abort() open the gate that pause() closes
+  const waitWhilePaused = async () => {
+    while (isPaused && !isAborted) await resumeGate.promise
+    if (isAborted) throw new DownloadAbortedError()
+  }
+
+  const openGate = () => {
+    if (resumeGate) resumeGate.open()
+    resumeGate = null
+  }
+
+  // Wakes workers waiting for the first missing byte to arrive (see waitForWindow)
+  const moveFrontier = () => {
+    if (frontierGate) frontierGate.open()
+    frontierGate = null
+  }
+
+  const abortInFlight = () => {
+    for (const controller of controllers) controller.abort()
+  }
+
+  // Writes go through a single queue so sinks never see overlapping calls.
+  // Sinks that can't seek get their chunks held back until the gap before them is filled.
+  const writeToSink = async (data, position) => {
+    await sink.write(data, position)
+    if (verifier) verifier.add(data instanceof Uint8Array ? data : new Uint8Array(data), position)
+  }
+
+  const commit = (data, position) => {
+    const task = writeQueue.then(async () => {
+      if (sink.positional !== false) return writeToSink(data, position)
+
+      pendingWrites.set(position, data)
+      while (pendingWrites.has(writeCursor)) {
+        const next = pendingWrites.get(writeCursor)
+        pendingWrites.delete(writeCursor)
+        await writeToSink(next, writeCursor)
+        writeCursor += next.byteLength
       }
-      checkPause()
     })
+    writeQueue = task.catch(() => {})
+    return task
   }
 
-  const downloadPromise = (async () => {
-    try {
-      onStatus('preparing')
-
-      const headResponse = await fetch(url, {
-        method: 'HEAD',
-        headers: buildHeaders()
+  // Queued behind pending writes so the record only lists bytes the sink already has
+  const checkpoint = () => {
+    const task = writeQueue.then(async () => {
+      const completed = completedRanges.map(range => [...range])
+      if (sink.flush) await sink.flush()
+      await store.put({
+        id: sessionId,
+        url: mirrors.length > 1 ? mirrors.map(mirror => mirror.url) : url,
+        fileName,
+        size: totalSize,
+        validator,
+        completed,
+        integrity: verifier ? verifier.exportState() : null,
+        sink: sink.reference ? sink.reference() : null,
+        updatedAt: Date.now()
       })
+    })
+    writeQueue = task.catch(() => {})
+    return task
+  }
+
+  // Sinks whose flush() is costly bring a longer default interval
+  const scheduleCheckpoint = () => {
+    const interval = checkpointInterval ?? sink.checkpointInterval ?? 5000
+    if (!store || Date.now() - lastCheckpoint < interval) return
+    lastCheckpoint = Date.now()
+    checkpoint().catch(err => console.error('Checkpoint failed:', err))
+  }
 
-      if (!headResponse.ok) throw new Error(`Failed to get file info: ${headResponse.status}`)
+  // The least busy healthy mirror, preferring fewer recent failures and then fewer bytes served
+  const pickMirror = () => {
+    const healthy = mirrors.filter(mirror => mirror.state === 'active')
+    const pool = healthy.length ? healthy : mirrors.filter(mirror => mirror.state === 'demoted')
+    if (!pool.length) return mirrors[0]
+    return pool.reduce((best, mirror) =>
+      (mirror.active - best.active || mirror.failures - best.failures || mirror.bytes - best.bytes) < 0 ? mirror : best)
+  }
 
-      totalSize = parseInt(headResponse.headers.get('Content-Length')) || 0
-      if (!totalSize) throw new Error('Could not determine file size')
+  const usableMirrors = () => mirrors.filter(mirror => mirror.state !== 'mismatch' && mirror.state !== 'failed')
 
-      // Extract filename from Content-Disposition header if available
-      let suggestedFileName = fileName
-      const contentDisposition = headResponse.headers.get('Content-Disposition')
-      if (contentDisposition) {
-        const filenameMatch = contentDisposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/)
-        if (filenameMatch && filenameMatch[1]) suggestedFileName = filenameMatch[1].replace(/['"]/g, '')
+  // Bytes go to the sink as they arrive; a retry asks only for what this chunk is still missing.
+  // Resolves with the time spent on the chunk outside of pauses, for adaptive sizing
+  const downloadChunk = async (start, end, index) => {
+    const began = Date.now()
+    let pausedFor = 0
+    const holdWhilePaused = async () => {
+      const since = Date.now()
+      try {
+        await waitWhilePaused()
+      } finally {
+        pausedFor += Date.now() - since
       }
+    }
+    let retries = 0
+    let committed = 0
+    const chunk = { index, start, end, loaded: 0, retries: 0 }
+    activeChunks.set(start, chunk)
+    emit('chunkstart', { index, start, end })
+    let refreshed = false
 
-      const fileHandle = await window.showSaveFilePicker({ suggestedName: suggestedFileName })
-      writer = await fileHandle.createWritable()
+    while (!isAborted && !failure) {
+      let controller = null
+      let usedCredentials = credentialsVersion
+      let mirror = null
+      try {
+        await holdWhilePaused()
+        
+        if (isAborted || failure) return
 
-      startProgressUpdates()
+        await ensureCredentials()
+        usedCredentials = credentialsVersion
+        controller = new AbortController()
+        controllers.add(controller)
+        rangeControllers.add(controller)
+        mirror = pickMirror()
+        mirror.active++
 
-      while (downloadedSize < totalSize && !isAborted) {
-        await waitWhilePaused()
+        const from = start + committed
+        const ifRange = ifRangeValue(mirror.validator)
+        const res = await withTimeout(network(fetch(mirror.url, {
+          method: 'GET',
+          headers: buildHeaders({
+            Range: `bytes=${from}-${end}`,
+            'Cache-Control': 'no-cache',
+            ...(ifRange && { 'If-Range': ifRange })
+          }),
+          cache: 'no-store',
+          signal: controller.signal
+        })), requestTimeout, controller, 'request', `Chunk ${from}-${end}`)
+
+        if (!res.ok) throw httpError(`Chunk fetch failed: ${res.status}`, res, mirror.url)
+        refreshed = false
+        checkRangeResponse(res, { url: mirror.url, from, end, size: totalSize, validator: mirror.validator, ifRange }, 'Remote file changed during download')
+
+        const expectedLength = end - from + 1
+
+        const reader = res.body ? res.body.getReader() : bufferedReader(res)
+        let receivedLength = 0
+        let released = false
+
+        while (true) {
+          await holdWhilePaused()
+          if (isAborted) break
+          // pause() gave up this request, ask again from the committed offset
+          if (releasedRequests.has(controller)) {
+            released = true
+            break
+          }
+
+          const { done, value } = await withTimeout(network(reader.read()), idleTimeout, controller, 'idle', `Chunk ${from}-${end}`)
+          
+          if (done) break
+          
+          await limiter.take(value.byteLength)
+          receivedLength += value.byteLength
+          if (receivedLength > expectedLength) {
+            throw new RangeResponseError(`Received more than ${expectedLength} bytes for ${from}-${end}`, { url: mirror.url })
+          }
+
+          const position = start + committed
+          await commit(value, position)
+          committed += value.byteLength
+          chunk.loaded = committed
+          downloadedSize += value.byteLength
+          completedRanges = mergeRanges([...completedRanges, [position, position + value.byteLength - 1]])
+          mirror.bytes += value.byteLength
+          mirror.ranges = mergeRanges([...mirror.ranges, [position, position + value.byteLength - 1]])
+          moveFrontier()
+          scheduleCheckpoint()
+          
+          if (isAborted) break
+        }
+
+        if (isAborted || failure) return
+        if (released) continue
+
+        if (receivedLength < expectedLength) {
+          throw new NetworkError(`Short read for ${from}-${end}: received ${receivedLength} of ${expectedLength} bytes`)
+        }
+
+        mirror.failures = 0
+        onStatus(isPaused ? 'paused' : 'downloading')
+        emit('chunkcomplete', { index, start, end, bytes: committed, retries })
+        return Date.now() - began - pausedFor
+      } catch (err) {
+        if (isAborted || failure) return
+        // pause() gave up this request, so wait for resume() and continue where it stopped
+        if (err.name === 'AbortError' && releasedRequests.has(controller)) continue
+        // Expired credentials get one fresh attempt that doesn't count as a retry
+        if (isAuthFailure(err) && !refreshed) {
+          refreshed = true
+          await refreshCredentials(usedCredentials)
+          continue
+        }
+        // A secondary mirror serving another version, or refusing the file, is dropped and the chunk moves on
+        if (mirror && mirror !== mirrors[0] && usableMirrors().length > 1 &&
+          (err instanceof ResourceChangedError || !isRetryable(err))) {
+          mirror.state = err instanceof ResourceChangedError ? 'mismatch' : 'failed'
+          continue
+        }
+        if (!isRetryable(err)) throw err
+
+        if (mirror && ++mirror.failures >= MIRROR_FAILURE_LIMIT && mirror.state === 'active') mirror.state = 'demoted'
         
-        if (isAborted) break
+        retries++
+        totalRetries++
+        chunk.retries = retries
+        chunkSizer.failure()
+        if (err instanceof TimeoutError) onStatus(`timeout ${start}-${end}`)
+        onStatus(`retrying ${start}-${end}, attempt ${retries}`)
+        const { delay, reason } = await nextRetry(err, retries, [start, end], mirror ? mirror.url : url)
+        if (reason) {
+          throw new RetryExhaustedError(`Chunk ${start}-${end} failed after ${retries} retries: ${err.message}`, {
+            range: [start, end],
+            attempts: retries,
+            reason,
+            cause: err
+          })
+        }
+        emit('retry', { range: [start, end], attempt: retries, delay, error: err })
+        await new Promise(r => setTimeout(r, delay))
+      } finally {
+        controllers.delete(controller)
+        rangeControllers.delete(controller)
+        if (mirror) mirror.active--
+      }
+    }
+  }
+
+  // A response that already carries the whole file keeps its controller registered,
+  // so abort() and idleTimeout can still drop the connection
+  const probe = async (target = url) => {
+    const controller = new AbortController()
+    controllers.add(controller)
+    let info = null
+    try {
+      info = await probeFile(target, { headers: buildHeaders(), controller, timeout: requestTimeout })
+      return info.body ? { ...info, controller } : info
+    } catch (err) {
+      if (isAborted) throw new DownloadAbortedError()
+      throw err
+    } finally {
+      if (!info || !info.body) controllers.delete(controller)
+    }
+  }
+
+  // Mirrors must serve the same file: same size, range support and (when both send one) strong ETag
+  const checkMirrors = () => Promise.all(mirrors.slice(1).map(async (mirror) => {
+    try {
+      const info = await probe(mirror.url)
+      if (info.body) {
+        controllers.delete(info.controller)
+        if (info.body.body) info.body.body.cancel().catch(() => {})
+      }
+      mirror.validator = responseValidator(info.response)
+      const ours = strongETag(validator.etag)
+      const theirs = strongETag(mirror.validator.etag)
+      const etagDiffers = Boolean(ours && theirs && ours !== theirs)
+      mirror.state = info.size !== totalSize || !info.ranges || etagDiffers ? 'mismatch' : 'active'
+    } catch (err) {
+      if (err.name === 'AbortError' || isAborted) throw err
+      mirror.state = 'failed'
+    }
+  }))
+
+  const fetchFileInfo = async () => {
+    await ensureCredentials()
+    const usedCredentials = credentialsVersion
+    let info
+    try {
+      info = await probe()
+    } catch (err) {
+      if (!isAuthFailure(err)) throw err
+      await refreshCredentials(usedCredentials)
+      info = await probe()
+    }
+    const infoHeader = (name) => header(info.response, name)
+
+    totalSize = info.size
+    rangesSupported = info.ranges
+    pendingResponse = info.body ? { response: info.body, controller: info.controller } : null
+
+    validator = responseValidator(info.response)
+    mirrors[0].validator = validator
+    if (rangesSupported && mirrors.length > 1) await checkMirrors()
+
+    // Content-MD5 on a 206 describes the partial body, not the file
+    const digestHeader = (name) => info.response.status === 206 && name === 'Content-MD5' ? null : infoHeader(name)
+    expectations = [
+      ...(integrity ? parseIntegrity(integrity) : []),
+      ...(verifyDigestHeaders ? parseDigestHeaders(digestHeader) : [])
+    ]
 
-        const start = downloadedSize
-        const end = Math.min(start + chunkSize - 1, totalSize - 1)
-        let retries = 0
-        let success = false
+    // Extract filename from Content-Disposition header if available
+    const contentDisposition = infoHeader('Content-Disposition')
+    if (contentDisposition && !sessionLoaded) {
+      const filenameMatch = contentDisposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/)
+      if (filenameMatch && filenameMatch[1]) fileName = filenameMatch[1].replace(/['"]/g, '')
+    }
+  }
+
+  // Without range support the file comes in one GET; a failed attempt starts over from byte 0
+  const streamTransfer = async () => {
+    let retries = 0
+    const chunk = { index: 0, start: 0, end: totalSize ? totalSize - 1 : null, loaded: 0, retries: 0 }
+    activeChunks.set(0, chunk)
+    emit('chunkstart', { index: 0, start: 0, end: chunk.end })
+    let refreshed = false
+
+    while (true) {
+      let controller = null
+      let position = 0
+      let usedCredentials = credentialsVersion
+      try {
+        await waitWhilePaused()
+        if (isAborted) return
+
+        let res = null
+        if (pendingResponse) {
+          ({ response: res, controller } = pendingResponse)
+          pendingResponse = null
+        } else {
+          await ensureCredentials()
+          usedCredentials = credentialsVersion
+          controller = new AbortController()
+          controllers.add(controller)
+          res = await withTimeout(network(fetch(url, {
+            method: 'GET',
+            headers: buildHeaders({ 'Cache-Control': 'no-cache' }),
+            cache: 'no-store',
+            signal: controller.signal
+          })), requestTimeout, controller, 'request', 'Download')
+          if (!res.ok) throw httpError(`Download failed: ${res.status}`, res, url)
+          refreshed = false
+        }
+
+        const reader = res.body ? res.body.getReader() : bufferedReader(res)
+        while (true) {
+          await waitWhilePaused()
+          if (isAborted) return
+
+          const { done, value } = await withTimeout(network(reader.read()), idleTimeout, controller, 'idle', 'Download')
+          if (done) break
+
+          await limiter.take(value.byteLength)
+          await commit(value, position)
+          position += value.byteLength
+          chunk.loaded = position
+          downloadedSize = position
+        }
+
+        if (totalSize && position !== totalSize) {
+          throw new NetworkError(`Short read: received ${position} of ${totalSize} bytes`)
+        }
+        totalSize = position
+        onStatus(isPaused ? 'paused' : 'downloading')
+        emit('chunkcomplete', { index: 0, start: 0, end: position - 1, bytes: position, retries })
+        return
+      } catch (err) {
+        if (isAborted) return
+        if (isAuthFailure(err) && !refreshed) {
+          refreshed = true
+          await refreshCredentials(usedCredentials)
+          continue
+        }
+        if (!isRetryable(err)) throw err
+
+        retries++
+        totalRetries++
+        chunk.retries = retries
+        if (err instanceof TimeoutError) onStatus('timeout download')
+        onStatus(`retrying download, attempt ${retries}`)
+        const { delay, reason } = await nextRetry(err, retries, null)
+        if (reason) {
+          throw new RetryExhaustedError(`Download failed after ${retries} retries: ${err.message}`, {
+            attempts: retries,
+            reason,
+            cause: err
+          })
+        }
+        // Sinks that can't seek have already passed the partial bytes on
+        if (sink.positional === false && position > 0) throw err
+        emit('retry', { range: null, attempt: retries, delay, error: err })
+
+        // With nothing written the sink stays as it is; aborting a stream sink would end its stream
+        if (position > 0) {
+          downloadedSize = 0
+          writeCursor = 0
+          await sink.abort(err)
+          await sink.open({ fileName, size: totalSize, resume: false })
+          verifier = expectations.length ? createVerifier(expectations) : null
+        }
+        await new Promise(r => setTimeout(r, delay))
+      } finally {
+        controllers.delete(controller)
+      }
+    }
+  }
 
-        while (!success && retries < maxRetries && !isAborted) {
+  // Gaps left by a resumed session go out several to a request, as multipart/byteranges.
+  // Whatever this pass doesn't fill is downloaded range by range afterwards, with retries.
+  const fetchGaps = async () => {
+    const limit = chunkSizer.size
+    const gaps = missingRanges(completedRanges, totalSize).filter(([start, end]) => end - start + 1 < limit)
+
+    while (gaps.length > 1 && !isAborted) {
+      await waitWhilePaused()
+      const batch = []
+      let length = 0
+      while (gaps.length && batch.length < MAX_RANGES_PER_REQUEST && length + gaps[0][1] - gaps[0][0] + 1 <= limit) {
+        const gap = gaps.shift()
+        batch.push(gap)
+        length += gap[1] - gap[0] + 1
+      }
+      if (batch.length < 2) return
+
+      const controller = new AbortController()
+      controllers.add(controller)
+      rangeControllers.add(controller)
+      let parts = null
+      try {
+        await ensureCredentials()
+        const ifRange = ifRangeValue(validator)
+        parts = await withTimeout(fetchByteranges(url, batch, {
+          headers: buildHeaders({ 'Cache-Control': 'no-cache', ...(ifRange && { 'If-Range': ifRange }) }),
+          validator,
+          signal: controller.signal
+        }), requestTimeout, controller, 'request', 'Multi-range request')
+      } catch {
+        return
+      } finally {
+        controllers.delete(controller)
+        rangeControllers.delete(controller)
+      }
+      if (!parts) return
+
+      await limiter.take(length)
+      for (let i = 0; i < batch.length; i++) {
+        const [start, end] = batch[i]
+        await commit(parts[i], start)
+        downloadedSize += end - start + 1
+        completedRanges = mergeRanges([...completedRanges, batch[i]])
+        mirrors[0].bytes += end - start + 1
+        mirrors[0].ranges = mergeRanges([...mirrors[0].ranges, batch[i]])
+      }
+      scheduleCheckpoint()
+    }
+  }
+
+  const transfer = async () => {
+    if (!rangesSupported) {
+      try {
+        return await streamTransfer()
+      } finally {
+        activeChunks.clear()
+      }
+    }
+
+    downloadedSize = rangesLength(completedRanges)
+    if (multiRange) await fetchGaps()
+    // Chunks are cut as workers ask for them, so each one gets the chunk size of that moment
+    const missing = missingRanges(completedRanges, totalSize)
+
+    // Bytes past a gap are held in memory when they have to be hashed or written in order,
+    // so new chunks may only start within `concurrency` chunks of the first missing byte
+    const holdsBytes = Boolean(verifier) || sink.positional === false
+    const waitForWindow = async () => {
+      while (holdsBytes && missing.length && !isAborted && !failure) {
+        const frontier = completedRanges.length && completedRanges[0][0] === 0 ? completedRanges[0][1] + 1 : 0
+        if (missing[0][0] < frontier + concurrency * chunkSizer.size) return
+        if (!frontierGate) {
+          let open
+          const promise = new Promise(resolve => { open = resolve })
+          frontierGate = { promise, open }
+        }
+        await frontierGate.promise
+      }
+    }
+
+    let nextIndex = 0
+    const worker = async () => {
+      while (missing.length && !isAborted && !failure) {
+        try {
+          await waitWhilePaused()
+          await waitForWindow()
+          if (isAborted || failure) break
+
+          const range = takeRange(missing, chunkSizer.size)
+          if (!range) break
+          const [start, end] = range
+          const index = nextIndex++
           try {
-            await waitWhilePaused()
-            
-            if (isAborted) break
-
-            currentController = new AbortController()
-            
-            const res = await fetch(url, {
-              method: 'GET',
-              headers: buildHeaders({
-                Range: `bytes=${start}-${end}`,
-                'Cache-Control': 'no-cache'
-              }),
-              cache: 'no-store',
-              signal: currentController.signal
-            })
-
-            if (!res.ok) throw new Error(`Chunk fetch failed: ${res.status}`)
-
-            // Reset current chunk progress for this new chunk
-            currentChunkProgress = 0
-            const expectedChunkSize = end - start + 1
-            
-            // Stream the response for progressive updates
-            const reader = res.body.getReader()
-            const chunks = []
-            let receivedLength = 0
-
-            while (true) {
-              await waitWhilePaused()
-              if (isAborted) break
-
-              const { done, value } = await reader.read()
-              
-              if (done) break
-              
-              chunks.push(value)
-              receivedLength += value.length
-              
-              // Update current chunk progress for smooth progress updates
-              currentChunkProgress = receivedLength
-              updateProgress() // Call updateProgress for immediate updates during streaming
-              
-              if (isAborted) break
-            }
+            const duration = await downloadChunk(start, end, index)
+            if (duration !== undefined) chunkSizer.success(end - start + 1, duration)
+          } finally {
+            activeChunks.delete(start)
+          }
+        } catch (err) {
+          if (isAborted) break
+          failure = failure || err
+          abortInFlight()
+          moveFrontier()
+        }
+      }
+    }
+
+    await Promise.all(Array.from({ length: concurrency }, worker))
+    await writeQueue
+
+    if (failure) throw failure
+  }
+
+  const resetTransfer = () => {
+    failure = null
+    completedRanges = []
+    downloadedSize = 0
+    writeCursor = 0
+    pendingWrites.clear()
+    activeChunks.clear()
+    for (const mirror of mirrors) {
+      mirror.bytes = 0
+      mirror.ranges = []
+    }
+  }
+
+  const downloadPromise = (async () => {
+    try {
+      onStatus('preparing')
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new RangeError(`concurrency must be a positive integer, got ${concurrency}`)
+      }
+
+      const session = store ? await store.get(sessionId) : null
+      if (session) {
+        sessionLoaded = true
+        url = url || session.url
+        fileName = session.fileName
+        completedRanges = session.completed
+        if (!sink) sink = restoreSink(session.sink)
+      }
+      if (!url && !getUrl) throw new Error(`No saved session found for ${sessionId}`)
+      mirrors = (Array.isArray(url) ? url : [url]).map(mirrorUrl => ({
+        url: mirrorUrl,
+        validator: {},
+        state: 'active',
+        bytes: 0,
+        ranges: [],
+        failures: 0,
+        active: 0
+      }))
+      url = mirrors[0].url
+      if (!sink) sink = filePickerSink()
+
+      await fetchFileInfo()
+
+      let resumeSession = Boolean(session)
+      if (session && (session.size !== totalSize || validatorChanged(session.validator, validator))) {
+        const err = new ResourceChangedError('Remote file changed since the session was saved', { url, expected: session.validator, received: validator })
+        if (onResourceChange !== 'restart') throw err
+        completedRanges = []
+        resumeSession = false
+      }
+
+      // The ranges a session lists are worthless once its partial file is gone
+      if (resumeSession && sink.exists && !(await sink.exists())) {
+        completedRanges = []
+        resumeSession = false
+      }
+
+      if (expectations.length) {
+        verifier = createVerifier(expectations, resumeSession ? session.integrity : null)
+        // Only the hashed prefix can be trusted, anything after it is downloaded again
+        if (resumeSession) completedRanges = verifier.offset > 0 ? [[0, verifier.offset - 1]] : []
+      }
+
+      // Cancelled while the file was probed: no save dialog, no empty file
+      if (isAborted) throw new DownloadAbortedError()
+      await sink.open({ fileName, size: totalSize, resume: resumeSession })
+      sinkOpened = true
 
-            if (isAborted) break
+      startProgressUpdates()
+      enterPhase('downloading')
 
-            // Combine all chunks into a single ArrayBuffer
-            const chunk = new Uint8Array(receivedLength)
-            let offset = 0
-            for (const chunkPart of chunks) {
-              chunk.set(chunkPart, offset)
-              offset += chunkPart.length
+      let restarts = 0
+      while (true) {
+        try {
+          await transfer()
+          break
+        } catch (err) {
+          // The server ignored Range after all, so the file comes in one GET instead.
+          // Sinks that can't seek may only switch before they were handed any bytes.
+          const written = downloadedSize > 0
+          if (err instanceof RangesIgnoredError && !isAborted && !(written && sink.positional === false)) {
+            resetTransfer()
+            rangesSupported = false
+            verifier = expectations.length ? createVerifier(expectations) : null
+            if (written) {
+              await sink.abort(err)
+              await sink.open({ fileName, size: totalSize, resume: false })
             }
-            
-            await waitWhilePaused()
-            
-            if (isAborted) break
-
-            await writer.write(chunk.buffer)
-
-            downloadedSize += chunk.byteLength
-            currentChunkProgress = 0 // Reset since this chunk is now part of downloadedSize
-            updateProgress()
-            onStatus(isPaused ? 'paused' : 'downloading')
-            success = true
-            currentController = null
-          } catch (err) {
-            currentController = null
-            
-            if (err.name === 'AbortError' || isAborted) break
-            
-            retries++
-            onStatus(`retrying ${start}-${end}, attempt ${retries}`)
-            if (retries >= maxRetries) throw new Error(`Chunk ${start}-${end} failed after ${maxRetries} retries: ${err.message}`)
-            await new Promise(r => setTimeout(r, 1000 * retries))
+            continue
           }
+
+          // Sinks that can't seek have already passed the old bytes on
+          const canRestart = err instanceof ResourceChangedError && onResourceChange === 'restart' &&
+            sink.positional !== false && restarts < maxRetries && !isAborted
+          if (!canRestart) throw err
+
+          restarts++
+          onStatus('restarting')
+          resetTransfer()
+          await fetchFileInfo()
+          verifier = expectations.length ? createVerifier(expectations) : null
+          await sink.abort(err)
+          await sink.open({ fileName, size: totalSize, resume: false })
         }
-        
-        if (isAborted) break
       }
 
       if (isAborted) {
         stopProgressUpdates()
         onStatus('aborted')
-        throw new Error('Download aborted')
+        throw new DownloadAbortedError()
       }
 
       stopProgressUpdates()
+
+      // Never report a file as saved while bytes are missing from it
+      if (downloadedSize !== totalSize) {
+        throw new Error(`Download incomplete: received ${downloadedSize} of ${totalSize} bytes`)
+      }
+
+      if (verifier) {
+        enterPhase('verifying')
+        onStatus('verifying')
+        verifier.verify()
+      }
+
+      enterPhase('finalizing')
       onStatus('finalizing')
-      await writer.close()
+      const result = await sink.close()
+      if (store) await store.delete(sessionId)
       updateProgress()
+      transition('done')
       onStatus('done')
+      emit('done', { result })
+      return result
     } catch (err) {
       stopProgressUpdates()
-      if (!isAborted) onStatus('error')
-      if (writer) try { 
-        await writer.close() 
+      if (!isAborted) {
+        transition('failed')
+        onStatus('error')
+        emit('error', { error: err })
+      }
+      if (store && (sinkOpened || isAborted)) try {
+        // A cancelled or corrupt download is gone for good, a failed one can be resumed later
+        if (isAborted || err instanceof IntegrityError) await store.delete(sessionId)
+        else await checkpoint()
+      } catch {}
+      // A stream consumer is already waiting on the stream, opened or not
+      if (sinkOpened || (sink && sink.stream)) try { 
+        await sink.abort(err) 
       } catch {}
-      if (currentController) currentController.abort()
-      console.error('Fetch failed:', err)
+      if (isAborted && sink && sink.discard) try {
+        await sink.discard()
+      } catch {}
+      abortInFlight()
       throw err
     }
   })()
 
-  return {
+  const abort = () => {
+    if (!canTransition(state, 'aborted')) return
+    isAborted = true
+    stopProgressUpdates()
+    abortInFlight()
+    openGate()
+    moveFrontier()
+    transition('aborted')
+    onStatus('aborted')
+  }
+
+  // A stream consumer learns about failures from the stream, so the promise may go unobserved
+  if (sink && sink.stream) downloadPromise.catch(() => {})
+
+  const control = Object.assign(target, {
     promise: downloadPromise,
+    stream: sink && sink.stream ? sink.stream : null,
+    sessionId: store ? sessionId : null,
+    // Range requests are dropped so servers and proxies don't time out an unread response;
+    // a single-GET download can't resume mid-file and keeps its connection instead.
+    // Settles once everything received so far is written and checkpointed.
     pause: () => {
+      if (!canTransition(state, 'paused')) return Promise.resolve()
       isPaused = true
+      if (!resumeGate) {
+        let open
+        const promise = new Promise(resolve => { open = resolve })
+        resumeGate = { promise, open }
+      }
+      for (const controller of rangeControllers) {
+        releasedRequests.add(controller)
+        controller.abort()
+      }
+      transition('paused')
       onStatus('paused')
+      return (async () => {
+        await writeQueue
+        if (store && sinkOpened) await checkpoint().catch(err => console.error('Checkpoint failed:', err))
+      })()
     },
     resume: () => {
+      if (state !== 'paused') return Promise.resolve()
       isPaused = false
+      // The time spent paused shouldn't drag the transfer rate down
+      lastSample = { time: Date.now(), bytes: downloadedSize }
+      openGate()
+      transition(phase)
       onStatus('downloading')
+      return Promise.resolve()
     },
-    abort: () => {
-      isAborted = true
-      stopProgressUpdates()
-      if (currentController) currentController.abort()
-      onStatus('aborted')
-    },
+    abort,
     isPaused: () => isPaused,
     isAborted: () => isAborted,
-    getProgress: () => totalSize > 0 ? Math.floor(((downloadedSize + currentChunkProgress) / totalSize) * 100) : 0
-  }
+    getProgress: () => totalSize > 0 ? Math.floor((downloadedSize / totalSize) * 100) : 0,
+    getStats,
+    // With a shared rateLimiter this changes the limit for every download using it
+    setRateLimit: (bytesPerSecond) => limiter.setRate(bytesPerSecond),
+    // Yields every event from now on as it happens: for await (const event of download.events())
+    events: () => eventIterator(target, isFinalState(state))
+  })
+  Object.defineProperty(control, 'state', { get: () => state, enumerable: true })
+  return control
 }
+
+rangeRequestFetcher.resume = (sessionId, options = {}) =>
+  rangeRequestFetcher({ persist: true, ...options, url: undefined, sessionId })
+
+rangeRequestFetcher.listSessions = ({ sessionStore } = {}) =>
+  (sessionStore || defaultSessionStore()).list()
@@ -0,0 +1,41 @@
+// Picks the size of the next chunk. With adaptive sizing, chunks double while they finish well
+// under the target duration, and halve when they run long or an attempt fails.
+
+const MB = 1024 * 1024
+
+export function createChunkSizer(chunkSize, adaptive) {
+  if (!adaptive) {
+    return {
+      get size() {
+        return chunkSize
+      },
+      success: () => {},
+      failure: () => {}
+    }
+  }
+
+  const {
+    min = 256 * 1024,
+    max = 100 * MB,
+    initial = Math.max(min, Math.min(max, MB)),
+    targetDuration = 5000
+  } = adaptive === true ? {} : adaptive
+  let size = initial
+
+  const resize = (next) => {
+    size = Math.max(min, Math.min(max, Math.floor(next)))
+  }
+
+  return {
+    get size() {
+      return size
+    },
+    // Chunks cut short by the end of a range are scaled up to the current size
+    success: (bytes, duration) => {
+      const projected = duration * (size / bytes)
+      if (projected < targetDuration / 2) resize(size * 2)
+      else if (projected > targetDuration * 2) resize(size / 2)
+    },
+    failure: () => resize(size / 2)
+  }
+}
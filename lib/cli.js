@@ -0,0 +1,206 @@
+import { rm } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import {
+  rangeRequestFetcher,
+  HttpStatusError,
+  NetworkError,
+  IntegrityError,
+  RetryExhaustedError,
+  DownloadAbortedError
+} from '../index.js'
+
+export const EXIT_CODES = Object.freeze({
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  HTTP: 3,
+  NETWORK: 4,
+  INTEGRITY: 5,
+  ABORTED: 130
+})
+
+export const USAGE = `Usage: range-fetch <url> [options]
+
+Options:
+  -o, --output <path>       Where to save the file (default: the last part of the URL)
+  -c, --chunk-size <size>   Bytes per range request, e.g. 512K or 50M (default: 100M)
+  -j, --concurrency <n>     Range requests in flight at once (default: 1)
+  -r, --retries <n>         Attempts per chunk before giving up (default: 10)
+  -H, --header <header>     Extra request header as 'Name: value', repeatable
+  -t, --token <token>       Bearer token for the Authorization header
+      --checksum <hash>     Expected SRI hash (sha256-<base64>) or hex SHA-256
+      --no-resume           Start over even if an earlier run left a .part file
+  -h, --help                Show this help
+
+Ctrl+C pauses the download and saves its progress; run the same command again to resume it.
+`
+
+const UNITS = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }
+
+export const parseSize = (value) => {
+  const [, amount, unit] = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i) || []
+  if (!amount) throw new Error(`Invalid size: ${value}`)
+  return Math.floor(Number(amount) * UNITS[unit.toLowerCase()])
+}
+
+const parseCount = (value, name) => {
+  if (!/^\d+$/.test(value) || Number(value) < 1) throw new Error(`--${name} expects a whole number of at least 1, got ${value}`)
+  return Number(value)
+}
+
+// The last segment of the URL path, cut again after decoding, so an encoded separator
+// such as ..%2F..%2F can't lead the file out of the working directory
+const defaultOutput = (url) => {
+  const segment = new URL(url).pathname.split('/').pop() || ''
+  let name = segment
+  try {
+    name = decodeURIComponent(segment)
+  } catch {}
+  name = name.split(/[\\/]/).pop()
+  return name && name !== '.' && name !== '..' ? name : 'download'
+}
+
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      'chunk-size': { type: 'string', short: 'c' },
+      concurrency: { type: 'string', short: 'j' },
+      retries: { type: 'string', short: 'r' },
+      header: { type: 'string', short: 'H', multiple: true },
+      token: { type: 'string', short: 't' },
+      checksum: { type: 'string' },
+      'no-resume': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  })
+
+  if (values.help) return { help: true }
+  if (positionals.length !== 1) throw new Error('Expected exactly one URL')
+
+  const [url] = positionals
+  const headers = {}
+  for (const header of values.header || []) {
+    const separator = header.indexOf(':')
+    if (separator < 1) throw new Error(`Invalid header, expected 'Name: value': ${header}`)
+    headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim()
+  }
+
+  const options = { url, path: values.output || defaultOutput(url), headers }
+  if (values['chunk-size']) options.chunkSize = parseSize(values['chunk-size'])
+  if (values.concurrency) options.concurrency = parseCount(values.concurrency, 'concurrency')
+  if (values.retries) options.maxRetries = parseCount(values.retries, 'retries')
+  if (values.token) options.token = values.token
+  if (values.checksum) options.integrity = values.checksum
+
+  return { help: false, resume: !values['no-resume'], options }
+}
+
+// A chunk that ran out of retries is reported by what kept failing it
+export function exitCodeFor(err) {
+  if (err instanceof DownloadAbortedError) return EXIT_CODES.ABORTED
+  const reason = err instanceof RetryExhaustedError && err.cause ? err.cause : err
+  if (reason instanceof IntegrityError) return EXIT_CODES.INTEGRITY
+  if (reason instanceof HttpStatusError) return EXIT_CODES.HTTP
+  if (reason instanceof NetworkError) return EXIT_CODES.NETWORK
+  return EXIT_CODES.ERROR
+}
+
+export const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`
+}
+
+export const formatDuration = (seconds) => {
+  const total = Math.ceil(seconds)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const rest = String(total % 60).padStart(2, '0')
+  if (hours) return `${hours}h${String(minutes).padStart(2, '0')}m`
+  return minutes ? `${minutes}m${rest}s` : `${total}s`
+}
+
+// One line for getStats(): a bar when the size is known, then speed and ETA
+export function formatProgress({ loaded, total, percent, bytesPerSecond, eta }, columns = 80) {
+  const speed = `${formatBytes(Math.round(bytesPerSecond))}/s`
+  if (total === null) return `${formatBytes(loaded)} ${speed}`
+
+  const text = `${String(percent).padStart(3)}% ${formatBytes(loaded)}/${formatBytes(total)} ${speed} ETA ${eta === null ? '--' : formatDuration(eta)}`
+  const width = Math.max(10, Math.min(40, columns - text.length - 3))
+  const filled = Math.round((percent / 100) * width)
+  return `[${'#'.repeat(filled)}${'-'.repeat(width - filled)}] ${text}`
+}
+
+// Redraws at most every 100 ms, and only on a terminal
+const createProgressBar = (stream) => {
+  let drawn = 0
+
+  return {
+    update: (stats) => {
+      if (!stream.isTTY || Date.now() - drawn < 100) return
+      drawn = Date.now()
+      stream.write(`\r${formatProgress(stats, stream.columns)}\x1b[K`)
+    },
+    end: (stats) => {
+      if (!stream.isTTY || !drawn) return
+      stream.write(`\r${formatProgress(stats, stream.columns)}\x1b[K\n`)
+    }
+  }
+}
+
+// Resolves with the exit code. The first Ctrl+C pauses and checkpoints the download
+// instead of abandoning it; a second one leaves at once.
+export async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed
+  try {
+    parsed = parseCliArgs(argv)
+  } catch (err) {
+    stderr.write(`range-fetch: ${err.message}\n\n${USAGE}`)
+    return EXIT_CODES.USAGE
+  }
+  if (parsed.help) {
+    stdout.write(USAGE)
+    return EXIT_CODES.OK
+  }
+
+  const { path } = parsed.options
+  if (!parsed.resume) {
+    await rm(`${path}.part`, { force: true })
+    await rm(`${path}.part.session.json`, { force: true })
+  }
+
+  const bar = createProgressBar(stderr)
+  const download = rangeRequestFetcher({ ...parsed.options, onProgressDetail: bar.update })
+
+  let interrupt
+  const interrupted = new Promise(resolve => { interrupt = resolve })
+  const onSignal = () => interrupt()
+  process.once('SIGINT', onSignal)
+
+  try {
+    const finished = await Promise.race([download.promise.then(() => true), interrupted.then(() => false)])
+    bar.end(download.getStats())
+    if (finished) {
+      stdout.write(`Saved ${path}\n`)
+      return EXIT_CODES.OK
+    }
+
+    await download.pause()
+    stderr.write(`Paused, progress saved to ${path}.part. Run the same command again to resume.\n`)
+    return EXIT_CODES.ABORTED
+  } catch (err) {
+    bar.end(download.getStats())
+    stderr.write(`range-fetch: ${err.message}\n`)
+    return exitCodeFor(err)
+  } finally {
+    process.off('SIGINT', onSignal)
+  }
+}
@@ -0,0 +1,86 @@
+export class ResourceChangedError extends Error {
+  constructor(message, { url, expected, received } = {}) {
+    super(message)
+    this.name = 'ResourceChangedError'
+    this.url = url
+    this.expected = expected
+    this.received = received
+  }
+}
+
+// An answer that doesn't hold the requested bytes: wrong status, wrong Content-Range or too many bytes
+export class RangeResponseError extends Error {
+  constructor(message, { url } = {}) {
+    super(message)
+    this.name = 'RangeResponseError'
+    this.url = url
+  }
+}
+
+// A partial range answered with the whole file, although the validators still match
+export class RangesIgnoredError extends Error {
+  constructor(message, { url } = {}) {
+    super(message)
+    this.name = 'RangesIgnoredError'
+    this.url = url
+  }
+}
+
+export class IntegrityError extends Error {
+  constructor(message, { algorithm, expected, actual, source } = {}) {
+    super(message)
+    this.name = 'IntegrityError'
+    this.algorithm = algorithm
+    this.expected = expected
+    this.actual = actual
+    this.source = source
+  }
+}
+
+// 408, 429 and 5xx are worth another attempt, anything else will fail the same way again
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500
+
+export class HttpStatusError extends Error {
+  constructor(message, { status, url, retryAfter = null } = {}) {
+    super(message)
+    this.name = 'HttpStatusError'
+    this.status = status
+    this.url = url
+    this.retryAfter = retryAfter
+    this.retryable = isRetryableStatus(status)
+  }
+}
+
+export class NetworkError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause })
+    this.name = 'NetworkError'
+  }
+}
+
+// A hung connection: no response headers within requestTimeout, or no bytes within idleTimeout
+export class TimeoutError extends NetworkError {
+  constructor(message, { phase, timeout } = {}) {
+    super(message)
+    this.name = 'TimeoutError'
+    this.phase = phase
+    this.timeout = timeout
+  }
+}
+
+export class RetryExhaustedError extends Error {
+  constructor(message, { range = null, attempts, reason = 'retries', cause } = {}) {
+    super(message, { cause })
+    this.name = 'RetryExhaustedError'
+    this.range = range
+    this.attempts = attempts
+    this.reason = reason
+  }
+}
+
+export class DownloadAbortedError extends Error {
+  constructor(message = 'Download aborted') {
+    super(message)
+    this.name = 'DownloadAbortedError'
+  }
+}
@@ -0,0 +1,79 @@
+// The states a download moves through. 'done', 'failed' and 'aborted' are final, and only
+// download manager jobs waiting for a slot are 'queued'.
+export const DownloadState = Object.freeze({
+  QUEUED: 'queued',
+  PREPARING: 'preparing',
+  DOWNLOADING: 'downloading',
+  PAUSED: 'paused',
+  VERIFYING: 'verifying',
+  FINALIZING: 'finalizing',
+  DONE: 'done',
+  FAILED: 'failed',
+  ABORTED: 'aborted'
+})
+
+// A paused download may finish if its last bytes were already received when pause() was called
+const TRANSITIONS = {
+  queued: ['preparing', 'aborted'],
+  preparing: ['downloading', 'paused', 'failed', 'aborted'],
+  downloading: ['paused', 'verifying', 'finalizing', 'failed', 'aborted'],
+  paused: ['preparing', 'downloading', 'verifying', 'finalizing', 'done', 'failed', 'aborted'],
+  verifying: ['finalizing', 'paused', 'failed', 'aborted'],
+  finalizing: ['done', 'paused', 'failed', 'aborted'],
+  done: [],
+  failed: [],
+  aborted: []
+}
+
+export const canTransition = (from, to) => TRANSITIONS[from].includes(to)
+
+export const isFinalState = (state) => TRANSITIONS[state].length === 0
+
+export const EVENT_TYPES = ['statechange', 'progress', 'chunkstart', 'chunkcomplete', 'retry', 'error', 'done']
+
+const isFinal = (event) =>
+  event.type === 'done' || event.type === 'error' || (event.type === 'statechange' && event.detail.state === 'aborted')
+
+// Listens from the moment it is called, so nothing is lost before the first next().
+// Ends after the download's last event, or right away if it has already settled.
+export function eventIterator(target, settled) {
+  const queue = []
+  let waiting = null
+  let finished = false
+
+  const stop = () => {
+    finished = true
+    for (const type of EVENT_TYPES) target.removeEventListener(type, listener)
+  }
+
+  const listener = (event) => {
+    if (waiting) {
+      waiting({ done: false, value: event })
+      waiting = null
+    } else {
+      queue.push(event)
+    }
+    if (isFinal(event)) stop()
+  }
+
+  if (settled) finished = true
+  else for (const type of EVENT_TYPES) target.addEventListener(type, listener)
+
+  return {
+    next: () => {
+      if (queue.length) return Promise.resolve({ done: false, value: queue.shift() })
+      if (finished) return Promise.resolve({ done: true, value: undefined })
+      return new Promise(resolve => { waiting = resolve })
+    },
+    return: () => {
+      stop()
+      queue.length = 0
+      if (waiting) waiting({ done: true, value: undefined })
+      waiting = null
+      return Promise.resolve({ done: true, value: undefined })
+    },
+    [Symbol.asyncIterator]() {
+      return this
+    }
+  }
+}
@@ -0,0 +1,169 @@
+// Incremental SHA-256 and MD5. WebCrypto can only hash a whole buffer at once,
+// and the running state here can be exported into a saved session.
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n))
+const rotl = (x, n) => (x << n) | (x >>> (32 - n))
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+])
+
+const sha256Words = new Uint32Array(64)
+
+const sha256Compress = (h, bytes, offset) => {
+  const w = sha256Words
+  for (let i = 0; i < 16; i++) {
+    const o = offset + i * 4
+    w[i] = (bytes[o] << 24) | (bytes[o + 1] << 16) | (bytes[o + 2] << 8) | bytes[o + 3]
+  }
+  for (let i = 16; i < 64; i++) {
+    const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3)
+    const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10)
+    w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0
+  }
+
+  let [a, b, c, d, e, f, g, hh] = h
+  for (let i = 0; i < 64; i++) {
+    const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0
+    const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0
+    hh = g
+    g = f
+    f = e
+    e = (d + t1) | 0
+    d = c
+    c = b
+    b = a
+    a = (t1 + t2) | 0
+  }
+  h[0] += a
+  h[1] += b
+  h[2] += c
+  h[3] += d
+  h[4] += e
+  h[5] += f
+  h[6] += g
+  h[7] += hh
+}
+
+const MD5_S = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+]
+const MD5_K = Uint32Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32))
+
+const md5Words = new Uint32Array(16)
+
+const md5Compress = (h, bytes, offset) => {
+  const m = md5Words
+  for (let i = 0; i < 16; i++) {
+    const o = offset + i * 4
+    m[i] = bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24)
+  }
+
+  let [a, b, c, d] = h
+  for (let i = 0; i < 64; i++) {
+    let f
+    let g
+    if (i < 16) {
+      f = (b & c) | (~b & d)
+      g = i
+    } else if (i < 32) {
+      f = (d & b) | (~d & c)
+      g = (5 * i + 1) % 16
+    } else if (i < 48) {
+      f = b ^ c ^ d
+      g = (3 * i + 5) % 16
+    } else {
+      f = c ^ (b | ~d)
+      g = (7 * i) % 16
+    }
+    f = (f + a + MD5_K[i] + m[g]) | 0
+    a = d
+    d = c
+    c = b
+    b = (b + rotl(f, MD5_S[i])) | 0
+  }
+  h[0] += a
+  h[1] += b
+  h[2] += c
+  h[3] += d
+}
+
+const ALGORITHMS = {
+  sha256: {
+    initial: [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19],
+    compress: sha256Compress,
+    littleEndian: false
+  },
+  md5: {
+    initial: [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476],
+    compress: md5Compress,
+    littleEndian: true
+  }
+}
+
+export function createHash(algorithm, state) {
+  const { initial, compress, littleEndian } = ALGORITHMS[algorithm]
+  const h = Uint32Array.from(state ? state.h : initial)
+  const block = new Uint8Array(64)
+  let blockLength = 0
+  let length = state ? state.length : 0
+  if (state) {
+    block.set(state.block)
+    blockLength = state.block.length
+  }
+
+  const update = (bytes) => {
+    length += bytes.length
+    let offset = 0
+    if (blockLength > 0) {
+      offset = Math.min(64 - blockLength, bytes.length)
+      block.set(bytes.subarray(0, offset), blockLength)
+      blockLength += offset
+      if (blockLength < 64) return
+      compress(h, block, 0)
+      blockLength = 0
+    }
+    for (; offset + 64 <= bytes.length; offset += 64) compress(h, bytes, offset)
+    if (offset < bytes.length) {
+      block.set(bytes.subarray(offset))
+      blockLength = bytes.length - offset
+    }
+  }
+
+  const digest = () => {
+    const bitsHigh = Math.floor(length / 0x20000000)
+    const bitsLow = (length % 0x20000000) * 8
+    const padding = new Uint8Array((blockLength < 56 ? 56 : 120) - blockLength + 8)
+    padding[0] = 0x80
+    const view = new DataView(padding.buffer)
+    if (littleEndian) {
+      view.setUint32(padding.length - 8, bitsLow, true)
+      view.setUint32(padding.length - 4, bitsHigh, true)
+    } else {
+      view.setUint32(padding.length - 8, bitsHigh)
+      view.setUint32(padding.length - 4, bitsLow)
+    }
+    update(padding)
+
+    const out = new Uint8Array(h.length * 4)
+    const outView = new DataView(out.buffer)
+    h.forEach((word, i) => outView.setUint32(i * 4, word, littleEndian))
+    return out
+  }
+
+  return {
+    update,
+    digest,
+    exportState: () => ({ h: [...h], block: [...block.subarray(0, blockLength)], length })
+  }
+}
@@ -0,0 +1,140 @@
+// Request and response helpers shared by rangeRequestFetcher and createRangeReader
+import { ResourceChangedError, RangesIgnoredError, RangeResponseError, HttpStatusError, NetworkError, TimeoutError } from './errors.js'
+
+// Explicit headers win, so a custom Authorization is never replaced by the token
+export const requestHeaders = (headers, token, extra = {}) => {
+  const h = { ...headers, ...extra }
+  if (token && !h.Authorization) h.Authorization = `Bearer ${token}`
+  return h
+}
+
+// Fallback for fetch implementations whose responses don't expose a body stream.
+// The buffered body is handed to the sink as it came.
+export const bufferedReader = (res) => {
+  let consumed = false
+  return {
+    read: async () => {
+      if (consumed) return { done: true }
+      consumed = true
+      return { done: false, value: await res.arrayBuffer() }
+    }
+  }
+}
+
+export const validatorChanged = (expected, received, ignoreMissing = false) => {
+  const differs = (a, b) => ignoreMissing ? Boolean(a && b && a !== b) : (a || null) !== (b || null)
+  return differs(expected.etag, received.etag) || differs(expected.lastModified, received.lastModified)
+}
+
+// fetch() and body reads reject with bare TypeErrors when the connection drops
+export const network = (promise) => promise.catch(err => {
+  throw err.name === 'AbortError' ? err : new NetworkError(err.message, { cause: err })
+})
+
+// Rejects first and then aborts the request, so the caller sees the timeout rather than an AbortError
+export const withTimeout = (promise, timeout, controller, phase, what) => {
+  if (!timeout) return promise
+  let timer
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new TimeoutError(`${what}: no ${phase === 'request' ? 'response' : 'data'} for ${timeout} ms`, { phase, timeout }))
+      if (controller) controller.abort()
+    }, timeout)
+  })
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer))
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+export const parseRetryAfter = (value) => {
+  if (!value) return null
+  if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+// Only failures of the connection or of the server's answer; anything else, such as a sink
+// that can't write, fails the same way again
+export const isRetryable = (err) => err instanceof NetworkError || err instanceof RangeResponseError ||
+  (err instanceof HttpStatusError && err.retryable)
+
+export const header = (res, name) => res.headers ? res.headers.get(name) : null
+
+export const httpError = (message, res, url) =>
+  new HttpStatusError(message, { status: res.status, url, retryAfter: parseRetryAfter(header(res, 'Retry-After')) })
+
+export const parseContentRange = (value) => {
+  const match = value && value.match(/^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i)
+  if (!match) return null
+  return { start: Number(match[1]), end: Number(match[2]), total: match[3] === '*' ? null : Number(match[3]) }
+}
+
+export const strongETag = (etag) => etag && !etag.startsWith('W/') ? etag : null
+
+// Weak ETags can't be used with If-Range, Last-Modified is the fallback
+export const ifRangeValue = ({ etag, lastModified }) => strongETag(etag) || lastModified || null
+
+export const responseValidator = (res) => ({ etag: header(res, 'ETag'), lastModified: header(res, 'Last-Modified') })
+
+// HEAD first; unless it reports a size and `Accept-Ranges: bytes`, a one-byte range request
+// finds out whether ranges work. Resolves with { response, size, ranges }, plus `body` when the
+// server ignored the range and sent the whole file, so the caller can use that response rather
+// than request it again. Aborting `controller` cancels either request, and both give up
+// after `timeout` ms without a response.
+export async function probeFile(url, { headers = {}, controller, timeout } = {}) {
+  const signal = controller ? controller.signal : undefined
+  let headResponse = null
+  try {
+    headResponse = await withTimeout(fetch(url, { method: 'HEAD', headers, signal }), timeout, controller, 'request', 'File info')
+  } catch (err) {
+    if (err.name === 'AbortError' || err instanceof TimeoutError) throw err
+  }
+
+  const headSize = headResponse && headResponse.ok ? parseInt(header(headResponse, 'Content-Length')) || 0 : 0
+  const acceptRanges = headSize ? header(headResponse, 'Accept-Ranges') : null
+  if (acceptRanges && acceptRanges.toLowerCase() === 'bytes') {
+    return { response: headResponse, size: headSize, ranges: true }
+  }
+
+  const res = await withTimeout(network(fetch(url, {
+    method: 'GET',
+    headers: { ...headers, Range: 'bytes=0-0', 'Cache-Control': 'no-cache' },
+    cache: 'no-store',
+    signal
+  })), timeout, controller, 'request', 'File info')
+  if (!res.ok) throw httpError(`Failed to get file info: ${res.status}`, res, url)
+
+  // A 206 without the total size can't be split into ranges unless HEAD knew it
+  if (res.status === 206) {
+    if (res.body) res.body.cancel().catch(() => {})
+    const contentRange = parseContentRange(header(res, 'Content-Range'))
+    const size = (contentRange && contentRange.total) || headSize
+    return { response: res, size, ranges: Boolean(size) }
+  }
+  return { response: res, size: parseInt(header(res, 'Content-Length')) || headSize, ranges: false, body: res }
+}
+
+// Checks the answer to `Range: bytes=<from>-<end>`, sent with If-Range when `ifRange` is set.
+// A failed If-Range makes the server send the whole new representation with a 200. A 200
+// whose validators still match means the server doesn't do ranges, and only a request for
+// the whole file may be answered with a plain 200 otherwise.
+export function checkRangeResponse(res, { url, from, end, size, validator, ifRange }, changedMessage) {
+  const received = responseValidator(res)
+  if (validatorChanged(validator, received, true)) {
+    throw new ResourceChangedError(changedMessage, { url, expected: validator, received })
+  }
+
+  const wholeFile = end - from + 1 === size
+  if (ifRange && res.status === 200 && !wholeFile) {
+    if (res.body) res.body.cancel().catch(() => {})
+    throw new RangesIgnoredError(`Server ignored the range ${from}-${end} and sent the whole file`, { url })
+  }
+
+  if (res.status === 206) {
+    const contentRange = parseContentRange(header(res, 'Content-Range'))
+    const matches = contentRange && contentRange.start === from && contentRange.end === end &&
+      (contentRange.total === null || contentRange.total === size)
+    if (!matches) throw new RangeResponseError(`Unexpected Content-Range for ${from}-${end}: ${header(res, 'Content-Range')}`, { url })
+  } else if (res.status !== 200 || !wholeFile) {
+    throw new RangeResponseError(`Expected 206 for range ${from}-${end}, got ${res.status}`, { url })
+  }
+}
@@ -0,0 +1,97 @@
+import { createHash } from './hash.js'
+import { IntegrityError } from './errors.js'
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+
+const base64ToHex = (value) => {
+  try {
+    return toHex(Uint8Array.from(atob(value.trim()), char => char.charCodeAt(0)))
+  } catch {
+    return null
+  }
+}
+
+const HEADER_ALGORITHMS = { 'sha-256': 'sha256', md5: 'md5' }
+
+// Accepts SRI strings ('sha256-<base64>', several separated by spaces) or a bare sha256 hex digest
+export const parseIntegrity = (integrity) => {
+  if (/^[0-9a-f]{64}$/i.test(integrity.trim())) {
+    return [{ algorithm: 'sha256', expected: integrity.trim().toLowerCase(), source: 'integrity' }]
+  }
+
+  const expectations = []
+  for (const token of integrity.trim().split(/\s+/)) {
+    const [, algorithm, value] = token.match(/^(sha256|md5)-([A-Za-z0-9+/=]+)/i) || []
+    const expected = value && base64ToHex(value)
+    if (expected) expectations.push({ algorithm: algorithm.toLowerCase(), expected, source: 'integrity' })
+  }
+  if (!expectations.length) throw new TypeError(`Unsupported integrity value: ${integrity}`)
+  return expectations
+}
+
+// Digest (RFC 3230), Repr-Digest (RFC 9530) and Content-MD5 describe the whole file
+export const parseDigestHeaders = (getHeader) => {
+  const expectations = []
+
+  for (const name of ['Repr-Digest', 'Digest']) {
+    const value = getHeader(name)
+    if (!value) continue
+    for (const entry of value.split(',')) {
+      const separator = entry.indexOf('=')
+      const algorithm = HEADER_ALGORITHMS[entry.slice(0, separator).trim().toLowerCase()]
+      const expected = algorithm && base64ToHex(entry.slice(separator + 1).trim().replace(/^:|:$/g, ''))
+      if (expected) expectations.push({ algorithm, expected, source: name })
+    }
+  }
+
+  const contentMD5 = getHeader('Content-MD5')
+  const expected = contentMD5 && base64ToHex(contentMD5)
+  if (expected) expectations.push({ algorithm: 'md5', expected, source: 'Content-MD5' })
+
+  return expectations
+}
+
+// Bytes may be committed out of order, so they are hashed once the gap before them is filled
+export function createVerifier(expectations, state) {
+  const algorithms = [...new Set(expectations.map(({ algorithm }) => algorithm))]
+  const usable = state && algorithms.every(algorithm => state.hashes[algorithm])
+  const hashes = {}
+  for (const algorithm of algorithms) hashes[algorithm] = createHash(algorithm, usable ? state.hashes[algorithm] : undefined)
+
+  const pending = new Map()
+  let offset = usable ? state.offset : 0
+
+  return {
+    get offset() {
+      return offset
+    },
+    add: (bytes, position) => {
+      pending.set(position, bytes)
+      while (pending.has(offset)) {
+        const next = pending.get(offset)
+        pending.delete(offset)
+        for (const algorithm of algorithms) hashes[algorithm].update(next)
+        offset += next.byteLength
+      }
+    },
+    exportState: () => {
+      const exported = {}
+      for (const algorithm of algorithms) exported[algorithm] = hashes[algorithm].exportState()
+      return { offset, hashes: exported }
+    },
+    verify: () => {
+      const actual = {}
+      for (const algorithm of algorithms) actual[algorithm] = toHex(hashes[algorithm].digest())
+      for (const { algorithm, expected, source } of expectations) {
+        if (actual[algorithm] !== expected) {
+          throw new IntegrityError(`Integrity check failed: ${algorithm} from ${source} does not match`, {
+            algorithm,
+            expected,
+            actual: actual[algorithm],
+            source
+          })
+        }
+      }
+    }
+  }
+}
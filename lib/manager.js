@@ -0,0 +1,180 @@
+import { rangeRequestFetcher } from '../index.js'
+import { DownloadAbortedError } from './errors.js'
+import { createRateLimiter } from './throttle.js'
+import { readableStreamSink } from './sinks.js'
+import { EVENT_TYPES, isFinalState, eventIterator } from './events.js'
+
+// Queues rangeRequestFetcher downloads. Jobs start in priority order (then in the order they
+// were added) while both the download and the connection limits allow it.
+export function createDownloadManager({
+  maxConcurrentDownloads = 3,
+  maxConnections = Infinity,
+  maxBytesPerSecond,
+  onProgress = () => {}
+} = {}) {
+  const limiter = createRateLimiter(maxBytesPerSecond)
+  const jobs = []
+  let sequence = 0
+  let frontSequence = 0
+
+  const running = () => jobs.filter(job => job.state === 'active')
+
+  const getStats = () => {
+    const stats = { loaded: 0, total: 0, percent: null, bytesPerSecond: 0, queued: 0, active: 0, done: 0, failed: 0, aborted: 0 }
+    for (const job of jobs) {
+      stats[job.state]++
+      if (!job.control) continue
+      const { loaded, total, bytesPerSecond } = job.control.getStats()
+      stats.loaded += loaded
+      stats.total += total || 0
+      if (job.state === 'active') stats.bytesPerSecond += bytesPerSecond
+    }
+    if (stats.total > 0) stats.percent = Math.floor((stats.loaded / stats.total) * 100)
+    return stats
+  }
+
+  const report = () => onProgress(getStats())
+
+  // Every job gets a limiter of its own for setRateLimit(). Jobs that didn't bring a limit
+  // also take from the manager's shared bandwidth.
+  const jobLimiter = ({ maxBytesPerSecond, rateLimiter }) => {
+    const own = rateLimiter || createRateLimiter(maxBytesPerSecond)
+    if (rateLimiter || maxBytesPerSecond) return own
+    return {
+      take: async (bytes) => {
+        await own.take(bytes)
+        await limiter.take(bytes)
+      },
+      setRate: own.setRate,
+      get rate() {
+        return own.rate
+      }
+    }
+  }
+
+  const schedule = () => {
+    const waiting = jobs
+      .filter(job => job.state === 'queued' && !job.held)
+      .sort((a, b) => b.priority - a.priority || a.sequence - b.sequence)
+
+    for (const job of waiting) {
+      const active = running()
+      const free = maxConnections - active.reduce((sum, { connections }) => sum + connections, 0)
+      if (active.length >= maxConcurrentDownloads || free < 1) break
+      start(job, free)
+    }
+  }
+
+  const start = (job, free) => {
+    const { concurrency = 1, onProgressDetail } = job.options
+    job.state = 'active'
+    job.connections = Math.min(concurrency, free)
+    job.control = rangeRequestFetcher({
+      ...job.options,
+      concurrency: job.connections,
+      rateLimiter: job.limiter,
+      onProgressDetail: (stats) => {
+        if (onProgressDetail) onProgressDetail(stats)
+        report()
+      }
+    })
+    // The handle passes the download's events on, so listeners can be added while it is queued
+    for (const type of EVENT_TYPES) {
+      job.control.addEventListener(type, (event) => job.handle.dispatchEvent(new CustomEvent(type, { detail: event.detail })))
+    }
+    job.handle.dispatchEvent(new CustomEvent('statechange', { detail: { state: 'preparing', previous: 'queued' } }))
+    job.control.promise.then(
+      (result) => {
+        job.state = 'done'
+        job.resolve(result)
+      },
+      (err) => {
+        job.state = job.control.isAborted() ? 'aborted' : 'failed'
+        job.reject(err)
+      }
+    ).finally(() => {
+      report()
+      schedule()
+    })
+  }
+
+  const add = (options, { priority = 0 } = {}) => {
+    const job = { options, priority, sequence: sequence++, state: 'queued', held: false, control: null, connections: 0 }
+    const promise = new Promise((resolve, reject) => {
+      job.resolve = resolve
+      job.reject = reject
+    })
+    job.limiter = jobLimiter(options)
+    // The stream exists from the start, so it can be handed on before the job leaves the queue
+    if (options.stream && !options.sink) job.options = { ...options, sink: readableStreamSink({ onCancel: () => handle.abort() }) }
+    const stream = job.options.sink && job.options.sink.stream ? job.options.sink.stream : null
+    // A stream consumer learns about failures from the stream, so the promise may go unobserved
+    if (stream) promise.catch(() => {})
+
+    const handle = Object.assign(new EventTarget(), {
+      promise,
+      stream,
+      // Queued jobs are held back instead of being started paused, so they don't occupy a slot
+      pause: () => {
+        if (job.state === 'active') return job.control.pause()
+        if (job.state === 'queued') job.held = true
+        return Promise.resolve()
+      },
+      resume: () => {
+        if (job.state === 'active') return job.control.resume()
+        if (job.state === 'queued') {
+          job.held = false
+          schedule()
+        }
+        return Promise.resolve()
+      },
+      abort: () => {
+        if (job.state === 'active') return job.control.abort()
+        if (job.state !== 'queued') return
+        const error = new DownloadAbortedError()
+        job.state = 'aborted'
+        if (stream) job.options.sink.abort(error)
+        handle.dispatchEvent(new CustomEvent('statechange', { detail: { state: 'aborted', previous: 'queued' } }))
+        job.reject(error)
+        report()
+      },
+      isPaused: () => job.control ? job.control.isPaused() : job.held,
+      isAborted: () => job.control ? job.control.isAborted() : job.state === 'aborted',
+      getProgress: () => job.control ? job.control.getProgress() : 0,
+      getStats: () => job.control ? job.control.getStats() : null,
+      // This job's own limit, on top of the manager's
+      setRateLimit: (bytesPerSecond) => job.limiter.setRate(bytesPerSecond),
+      events: () => eventIterator(handle, isFinalState(handle.state)),
+      setPriority: (value) => {
+        job.priority = value
+        schedule()
+      }
+    })
+    // 'queued' until the job starts, then the download's own DownloadState
+    Object.defineProperties(handle, {
+      state: { get: () => job.control ? job.control.state : job.state, enumerable: true },
+      priority: { get: () => job.priority, enumerable: true },
+      sessionId: { get: () => job.control ? job.control.sessionId : null, enumerable: true }
+    })
+    job.handle = handle
+    jobs.push(job)
+    schedule()
+    return handle
+  }
+
+  return {
+    add,
+    // Ahead of every queued job with the same priority
+    moveToFront: (handle) => {
+      const job = jobs.find(job => job.handle === handle)
+      if (job) job.sequence = --frontSequence
+      schedule()
+    },
+    pauseAll: () => Promise.all(jobs.map(job => job.handle.pause())),
+    resumeAll: () => Promise.all(jobs.map(job => job.handle.resume())),
+    cancelAll: () => jobs.forEach(job => job.handle.abort()),
+    jobs: () => jobs.map(job => job.handle),
+    setRateLimit: (bytesPerSecond) => limiter.setRate(bytesPerSecond),
+    getStats
+  }
+}
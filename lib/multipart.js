@@ -0,0 +1,76 @@
+import { network, header, parseContentRange, validatorChanged, responseValidator } from './http.js'
+
+// Servers cap the ranges they accept in one request (Apache at 200), so stay well below
+export const MAX_RANGES_PER_REQUEST = 50
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+const HEADER_END = encoder.encode('\r\n\r\n')
+
+const indexOf = (bytes, pattern, from) => {
+  for (let i = bytes.indexOf(pattern[0], from); i !== -1 && i <= bytes.length - pattern.length; i = bytes.indexOf(pattern[0], i + 1)) {
+    let matches = true
+    for (let j = 1; j < pattern.length && matches; j++) matches = bytes[i + j] === pattern[j]
+    if (matches) return i
+  }
+  return -1
+}
+
+export const multipartBoundary = (contentType) => {
+  const match = contentType && contentType.match(/^multipart\/byteranges\s*;.*?boundary=(?:"([^"]+)"|([^;\s]+))/i)
+  return match ? match[1] || match[2] : null
+}
+
+// Splits a multipart/byteranges body into { start, end, total, bytes } parts. Each part's length
+// comes from its Content-Range, so a boundary that happens to occur in the data does no harm.
+export function parseByteranges(body, boundary) {
+  const delimiter = encoder.encode(`--${boundary}`)
+  const parts = []
+  let position = indexOf(body, delimiter, 0)
+
+  while (position !== -1) {
+    position += delimiter.length
+    // `--` right after the delimiter closes the body
+    if (body[position] === 45 && body[position + 1] === 45) return parts
+
+    const headersEnd = indexOf(body, HEADER_END, position)
+    if (headersEnd === -1) throw new Error('Malformed multipart/byteranges body: part headers never end')
+    const contentRange = decoder.decode(body.subarray(position, headersEnd)).match(/^content-range:\s*(.+)$/im)
+    const range = parseContentRange(contentRange && contentRange[1].trim())
+    if (!range) throw new Error('Malformed multipart/byteranges body: part without a Content-Range')
+
+    const start = headersEnd + HEADER_END.length
+    const end = start + range.end - range.start + 1
+    if (end > body.length) throw new Error(`Truncated multipart/byteranges body: part ${range.start}-${range.end} is cut short`)
+    parts.push({ ...range, bytes: body.subarray(start, end) })
+    position = indexOf(body, delimiter, end)
+  }
+
+  throw new Error('Malformed multipart/byteranges body: missing closing boundary')
+}
+
+// Asks for several ranges in one request and resolves with their bytes, in the order asked.
+// Resolves with null when the server answers any other way (a single range, the whole file or
+// another version of it), so the caller can fall back to one request per range.
+export async function fetchByteranges(url, ranges, { headers = {}, validator = {}, signal } = {}) {
+  const res = await network(fetch(url, {
+    method: 'GET',
+    headers: { ...headers, Range: `bytes=${ranges.map(([start, end]) => `${start}-${end}`).join(',')}` },
+    cache: 'no-store',
+    signal
+  }))
+
+  const boundary = res.status === 206 ? multipartBoundary(header(res, 'Content-Type')) : null
+  if (!boundary || validatorChanged(validator, responseValidator(res), true)) {
+    if (res.body) res.body.cancel().catch(() => {})
+    return null
+  }
+
+  const parts = parseByteranges(new Uint8Array(await network(res.arrayBuffer())), boundary)
+  // Servers may merge and reorder the ranges, so look each one up
+  const found = ranges.map(([start, end]) => {
+    const part = parts.find(part => part.start <= start && part.end >= end)
+    return part && part.bytes.subarray(start - part.start, end - part.start + 1)
+  })
+  return found.every(Boolean) ? found : null
+}
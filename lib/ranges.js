@@ -0,0 +1,38 @@
+// Byte ranges are inclusive [start, end] pairs, the same way HTTP Range headers count them
+
+export const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0])
+  const merged = []
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1]
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end)
+    } else {
+      merged.push([start, end])
+    }
+  }
+  return merged
+}
+
+export const missingRanges = (completed, size) => {
+  const missing = []
+  let cursor = 0
+  for (const [start, end] of mergeRanges(completed)) {
+    if (start > cursor) missing.push([cursor, start - 1])
+    cursor = Math.max(cursor, end + 1)
+  }
+  if (cursor < size) missing.push([cursor, size - 1])
+  return missing
+}
+
+// Cuts the next chunk off the front of a list of missing ranges, which it shortens in place
+export const takeRange = (ranges, size) => {
+  if (!ranges.length) return null
+  const [start, end] = ranges[0]
+  const last = Math.min(end, start + size - 1)
+  if (last === end) ranges.shift()
+  else ranges[0] = [last + 1, end]
+  return [start, last]
+}
+
+export const rangesLength = (ranges) => ranges.reduce((sum, [start, end]) => sum + end - start + 1, 0)
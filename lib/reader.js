@@ -0,0 +1,239 @@
+import { createRetryPolicy } from './retry.js'
+import { HttpStatusError, NetworkError, RangeResponseError, RetryExhaustedError, DownloadAbortedError } from './errors.js'
+import {
+  requestHeaders,
+  bufferedReader,
+  network,
+  withTimeout,
+  isRetryable,
+  httpError,
+  ifRangeValue,
+  responseValidator,
+  probeFile,
+  checkRangeResponse
+} from './http.js'
+import { fetchByteranges, MAX_RANGES_PER_REQUEST } from './multipart.js'
+
+// Random access to a remote file. Bytes are fetched and cached in fixed-size blocks; blocks
+// asked for in the same tick are fetched together, one request per run of adjacent blocks,
+// and overlapping reads share the request already in flight. With multiRange, separate runs
+// go out together as one multipart/byteranges request.
+export async function createRangeReader(url, {
+  token,
+  headers = {},
+  blockSize = 64 * 1024,
+  cacheSize = 256,
+  maxRetries = 10,
+  retry,
+  requestTimeout,
+  idleTimeout,
+  multiRange = false
+} = {}) {
+  const cache = new Map()
+  const pending = new Map()
+  const controllers = new Set()
+  let queued = []
+  let aborted = false
+
+  const buildHeaders = (extra = {}) => requestHeaders(headers, token, extra)
+
+  const info = await probeFile(url, { headers: buildHeaders(), timeout: requestTimeout })
+  if (info.body && info.body.body) info.body.body.cancel().catch(() => {})
+  if (!info.ranges) throw new Error(`${url} does not support range requests`)
+  const { size } = info
+  const validator = responseValidator(info.response)
+
+  const fetchRange = async (start, end) => {
+    const policy = createRetryPolicy(retry, maxRetries)
+    let attempt = 0
+
+    while (true) {
+      const controller = new AbortController()
+      controllers.add(controller)
+      try {
+        if (aborted) throw new DownloadAbortedError('Reader aborted')
+
+        const ifRange = ifRangeValue(validator)
+        const res = await withTimeout(network(fetch(url, {
+          method: 'GET',
+          headers: buildHeaders({
+            Range: `bytes=${start}-${end}`,
+            ...(ifRange && { 'If-Range': ifRange })
+          }),
+          signal: controller.signal
+        })), requestTimeout, controller, 'request', `Range ${start}-${end}`)
+
+        if (!res.ok) throw httpError(`Range fetch failed: ${res.status}`, res, url)
+        checkRangeResponse(res, { url, from: start, end, size, validator, ifRange }, 'Remote file changed while reading')
+
+        const bytes = new Uint8Array(end - start + 1)
+        const reader = res.body ? res.body.getReader() : bufferedReader(res)
+        let length = 0
+        while (true) {
+          const { done, value } = await withTimeout(network(reader.read()), idleTimeout, controller, 'idle', `Range ${start}-${end}`)
+          if (done) break
+          const piece = value instanceof Uint8Array ? value : new Uint8Array(value)
+          if (length + piece.byteLength > bytes.length) throw new RangeResponseError(`Received more than ${bytes.length} bytes for ${start}-${end}`, { url })
+          bytes.set(piece, length)
+          length += piece.byteLength
+        }
+        if (length < bytes.length) {
+          throw new NetworkError(`Short read for ${start}-${end}: received ${length} of ${bytes.length} bytes`)
+        }
+        return bytes
+      } catch (err) {
+        if (aborted) throw new DownloadAbortedError('Reader aborted')
+        if (!isRetryable(err)) throw err
+
+        attempt++
+        const { delay, reason } = await policy.next({
+          attempt,
+          error: err,
+          range: [start, end],
+          url,
+          retryAfter: err instanceof HttpStatusError ? err.retryAfter : null
+        })
+        if (reason) {
+          throw new RetryExhaustedError(`Range ${start}-${end} failed after ${attempt} retries: ${err.message}`, {
+            range: [start, end],
+            attempts: attempt,
+            reason,
+            cause: err
+          })
+        }
+        await new Promise(r => setTimeout(r, delay))
+      } finally {
+        controllers.delete(controller)
+      }
+    }
+  }
+
+  // Map order is use order, so the first key is the least recently used block
+  const remember = (index, block) => {
+    cache.delete(index)
+    cache.set(index, block)
+    if (cache.size > cacheSize) cache.delete(cache.keys().next().value)
+  }
+
+  const settle = (index, outcome, value) => {
+    const waiting = pending.get(index)
+    if (!waiting) return
+    pending.delete(index)
+    waiting[outcome](value)
+  }
+
+  const byteRange = ([first, last]) => [first * blockSize, Math.min((last + 1) * blockSize, size) - 1]
+
+  const storeBlocks = ([first, last], bytes) => {
+    for (let index = first; index <= last; index++) {
+      const block = bytes.slice((index - first) * blockSize, (index - first + 1) * blockSize)
+      remember(index, block)
+      settle(index, 'resolve', block)
+    }
+  }
+
+  const fetchBlocks = (run) => {
+    fetchRange(...byteRange(run)).then(
+      (bytes) => storeBlocks(run, bytes),
+      (err) => {
+        for (let index = run[0]; index <= run[1]; index++) settle(index, 'reject', err)
+      }
+    )
+  }
+
+  // Any trouble sends the runs out one by one, where retries apply. A server that doesn't
+  // answer with multipart/byteranges isn't asked again.
+  const fetchRunsTogether = async (runs) => {
+    const controller = new AbortController()
+    controllers.add(controller)
+    let parts = null
+    try {
+      parts = await withTimeout(fetchByteranges(url, runs.map(byteRange), {
+        headers: buildHeaders(ifRangeValue(validator) ? { 'If-Range': ifRangeValue(validator) } : {}),
+        validator,
+        signal: controller.signal
+      }), requestTimeout, controller, 'request', 'Multi-range request')
+      if (!parts) multiRange = false
+    } catch {
+      parts = null
+    } finally {
+      controllers.delete(controller)
+    }
+    if (parts) runs.forEach((run, i) => storeBlocks(run, parts[i]))
+    else runs.forEach(fetchBlocks)
+  }
+
+  const flush = () => {
+    const indexes = queued.sort((a, b) => a - b)
+    queued = []
+    const runs = []
+    let first = 0
+    for (let i = 1; i <= indexes.length; i++) {
+      if (i < indexes.length && indexes[i] === indexes[i - 1] + 1) continue
+      runs.push([indexes[first], indexes[i - 1]])
+      first = i
+    }
+
+    if (!multiRange || runs.length < 2) return runs.forEach(fetchBlocks)
+    for (let i = 0; i < runs.length; i += MAX_RANGES_PER_REQUEST) fetchRunsTogether(runs.slice(i, i + MAX_RANGES_PER_REQUEST))
+  }
+
+  const block = (index) => {
+    if (cache.has(index)) {
+      const cached = cache.get(index)
+      remember(index, cached)
+      return Promise.resolve(cached)
+    }
+    if (pending.has(index)) return pending.get(index).promise
+
+    const waiting = {}
+    waiting.promise = new Promise((resolve, reject) => {
+      waiting.resolve = resolve
+      waiting.reject = reject
+    })
+    pending.set(index, waiting)
+    if (!queued.length) queueMicrotask(flush)
+    queued.push(index)
+    return waiting.promise
+  }
+
+  // Reads past the end are cut short, like reading a file
+  const read = async (offset, length) => {
+    if (aborted) throw new DownloadAbortedError('Reader aborted')
+    if (!Number.isInteger(offset) || !Number.isInteger(length) || offset < 0 || length < 0) {
+      throw new RangeError(`Invalid read: offset ${offset}, length ${length}`)
+    }
+    const end = Math.min(offset + length, size)
+    if (end <= offset) return new Uint8Array(0)
+
+    const first = Math.floor(offset / blockSize)
+    const last = Math.floor((end - 1) / blockSize)
+    const blocks = await Promise.all(Array.from({ length: last - first + 1 }, (_, i) => block(first + i)))
+
+    const result = new Uint8Array(end - offset)
+    let written = 0
+    blocks.forEach((bytes, i) => {
+      const blockStart = (first + i) * blockSize
+      const piece = bytes.subarray(Math.max(offset - blockStart, 0), Math.min(end - blockStart, bytes.length))
+      result.set(piece, written)
+      written += piece.length
+    })
+    return result
+  }
+
+  return {
+    size,
+    read,
+    // Blob.slice() semantics: end is exclusive and negative values count from the end
+    slice: (start = 0, end = size) => {
+      const clamp = (value) => Math.min(size, Math.max(0, value < 0 ? size + value : value))
+      const from = clamp(start)
+      return read(from, Math.max(0, clamp(end) - from))
+    },
+    abort: () => {
+      aborted = true
+      for (const controller of controllers) controller.abort()
+      for (const index of [...pending.keys()]) settle(index, 'reject', new DownloadAbortedError('Reader aborted'))
+    }
+  }
+}
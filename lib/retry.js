@@ -0,0 +1,56 @@
+// A retry policy decides whether a failed attempt is tried again and how long to wait first.
+// next() resolves with { delay } to retry, or { reason } to give up.
+
+export function createRetryPolicy(retry = {}, maxRetries) {
+  const started = Date.now()
+  let used = 0
+
+  // A function is the whole policy: it returns the delay in ms, or false to give up
+  if (typeof retry === 'function') {
+    return {
+      next: async (info) => {
+        const delay = await retry({ ...info, elapsed: Date.now() - started, totalRetries: used })
+        if (typeof delay !== 'number') return { reason: 'policy' }
+        used++
+        return { delay }
+      }
+    }
+  }
+
+  const {
+    retries = maxRetries,
+    baseDelay = 1000,
+    factor = 2,
+    maxDelay = 30000,
+    jitter = 0.5,
+    budget = Infinity,
+    deadline = Infinity,
+    onRetry
+  } = retry
+
+  return {
+    next: async (info) => {
+      if (info.attempt >= retries) return { reason: 'retries' }
+      if (used >= budget) return { reason: 'budget' }
+
+      // Retry-After is the server's call, so it is neither capped nor jittered
+      let delay = info.retryAfter
+      if (delay === null || delay === undefined) {
+        delay = Math.min(maxDelay, baseDelay * factor ** (info.attempt - 1))
+        delay *= 1 - jitter * Math.random()
+      }
+
+      const elapsed = Date.now() - started
+      if (elapsed + delay > deadline) return { reason: 'deadline' }
+
+      if (onRetry) {
+        const decision = await onRetry({ ...info, delay, elapsed, totalRetries: used })
+        if (decision === false) return { reason: 'vetoed' }
+        if (typeof decision === 'number') delay = decision
+      }
+
+      used++
+      return { delay }
+    }
+  }
+}
@@ -0,0 +1,208 @@
+import { rangeRequestFetcher } from '../index.js'
+import { readableStreamSink } from './sinks.js'
+import { createSessionId } from './sessions.js'
+import { HttpStatusError, DownloadAbortedError } from './errors.js'
+
+// Hands a download to the browser's own download manager. The page posts the fetcher options
+// to the service worker and points a hidden iframe at a synthetic URL; the worker answers that
+// request with a response whose body is fed by rangeRequestFetcher.
+
+const MESSAGE_TYPE = 'range-request-fetcher:download'
+const COMMANDS = ['pause', 'resume', 'abort']
+const DEFAULT_PREFIX = 'range-request-fetcher/'
+
+// filename* carries the real name, filename an ASCII fallback for older browsers
+const contentDisposition = (fileName) =>
+  `attachment; filename="${fileName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+
+// Errors lose their class when posted between contexts
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  ...(err instanceof HttpStatusError && { status: err.status, url: err.url })
+})
+
+const reviveError = ({ name, message, ...details }) => {
+  if (name === 'DownloadAbortedError') return new DownloadAbortedError(message)
+  if (name === 'HttpStatusError') return new HttpStatusError(message, details)
+  return Object.assign(new Error(message), { name })
+}
+
+// Call once from the service worker script. A download whose URL the browser hasn't asked for
+// within claimTimeout ms (the page closed, or the frame was blocked) is dropped.
+export function handleDownloads({ prefix = DEFAULT_PREFIX, worker = self, claimTimeout = 60 * 1000 } = {}) {
+  const downloads = new Map()
+  const routePath = () => new URL(prefix, worker.registration.scope).pathname
+
+  const drop = (id, error) => {
+    const entry = downloads.get(id)
+    if (!entry) return
+    downloads.delete(id)
+    clearTimeout(entry.expiry)
+    entry.port.postMessage({ type: 'error', error: serializeError(error) })
+    entry.port.close()
+  }
+
+  worker.addEventListener('message', (event) => {
+    const { data } = event
+    if (!data || data.type !== MESSAGE_TYPE) return
+
+    const entry = { options: data.options, port: event.ports[0], download: null, paused: false }
+    entry.expiry = setTimeout(() => drop(data.id, new Error(`Download ${data.id} was never requested`)), claimTimeout)
+    downloads.set(data.id, entry)
+    entry.port.onmessage = ({ data: command }) => {
+      if (!COMMANDS.includes(command)) return
+      if (entry.download) return entry.download[command]()
+      // Cancelled before the browser asked for the file
+      if (command === 'abort') return drop(data.id, new DownloadAbortedError())
+      // Paused or resumed before then, which respond() applies once the download exists
+      entry.paused = command === 'pause'
+    }
+    entry.port.postMessage({ type: 'ready' })
+  })
+
+  const respond = async (entry) => {
+    const { options, port } = entry
+    let opened
+    const details = new Promise(resolve => { opened = resolve })
+    const streamSink = readableStreamSink({ onCancel: () => download.abort() })
+    // open() is the first moment the final file name and size are known
+    const sink = {
+      ...streamSink,
+      open: async (info) => {
+        opened(info)
+        await streamSink.open(info)
+      }
+    }
+
+    const download = rangeRequestFetcher({
+      ...options,
+      sink,
+      onProgressDetail: (stats) => port.postMessage({ type: 'progress', stats }),
+      onStatus: (status) => port.postMessage({ type: 'status', status })
+    })
+    entry.download = download
+    if (entry.paused) download.pause()
+
+    download.promise.then(
+      () => port.postMessage({ type: 'done' }),
+      (err) => port.postMessage({ type: 'error', error: serializeError(err) })
+    ).finally(() => port.close())
+
+    let info
+    try {
+      info = await Promise.race([details, download.promise])
+    } catch (err) {
+      return new Response(err.message, { status: 502 })
+    }
+
+    const headers = {
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': contentDisposition(info.fileName)
+    }
+    if (info.size) headers['Content-Length'] = String(info.size)
+    return new Response(download.stream, { headers })
+  }
+
+  worker.addEventListener('fetch', (event) => {
+    const { pathname } = new URL(event.request.url)
+    const route = routePath()
+    if (!pathname.startsWith(route)) return
+
+    const id = pathname.slice(route.length).split('/')[0]
+    const entry = downloads.get(id)
+    if (!entry) return event.respondWith(new Response('Unknown download', { status: 404 }))
+
+    // Each download is served once; a second request for it gets a 404
+    downloads.delete(id)
+    clearTimeout(entry.expiry)
+    const response = respond(entry)
+    event.respondWith(response)
+    // Keep the worker alive for as long as the body is being fed
+    event.waitUntil(response.then(() => entry.download.promise).catch(() => {}))
+  })
+}
+
+// Page side. Takes the same serializable options as rangeRequestFetcher; the callbacks run on
+// the page. Register a service worker that calls handleDownloads() first.
+export function serviceWorkerDownload({
+  prefix = DEFAULT_PREFIX,
+  registration,
+  onProgress = () => {},
+  onProgressDetail,
+  onStatus = () => {},
+  ...options
+}) {
+  const id = createSessionId()
+  const channel = new MessageChannel()
+  let registrationScope = null
+  let frame = null
+  let paused = false
+  let aborted = false
+
+  const cleanUp = () => {
+    channel.port1.close()
+    // Removing the frame too early can cancel the download in some browsers
+    if (frame) setTimeout(() => frame.remove(), 1000)
+  }
+
+  const promise = new Promise((resolve, reject) => {
+    channel.port1.onmessage = ({ data }) => {
+      switch (data.type) {
+        case 'ready': {
+          const fileName = options.fileName || 'download'
+          frame = document.createElement('iframe')
+          frame.hidden = true
+          frame.src = new URL(`${prefix}${id}/${encodeURIComponent(fileName)}`, registrationScope).href
+          document.body.appendChild(frame)
+          break
+        }
+        case 'progress':
+          if (data.stats.percent !== null) onProgress(data.stats.percent)
+          if (onProgressDetail) onProgressDetail(data.stats)
+          break
+        case 'status':
+          onStatus(data.status)
+          break
+        case 'done':
+          cleanUp()
+          resolve()
+          break
+        case 'error':
+          cleanUp()
+          reject(reviveError(data.error))
+          break
+      }
+    }
+  })
+
+  const ready = (async () => {
+    const current = registration || await navigator.serviceWorker.ready
+    registrationScope = current.scope
+    current.active.postMessage({ type: MESSAGE_TYPE, id, options }, [channel.port2])
+  })()
+  ready.catch(() => {})
+
+  const send = (command) => ready.then(() => {
+    channel.port1.postMessage(command)
+  })
+
+  return {
+    id,
+    promise: Promise.all([ready, promise]).then(() => {}),
+    pause: () => {
+      paused = true
+      return send('pause')
+    },
+    resume: () => {
+      paused = false
+      return send('resume')
+    },
+    abort: () => {
+      aborted = true
+      return send('abort')
+    },
+    isPaused: () => paused,
+    isAborted: () => aborted
+  }
+}
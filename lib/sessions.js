@@ -0,0 +1,93 @@
+// Session stores keep download checkpoints across reloads and restarts.
+// A store is any object with get(id), put(record), delete(id) and list().
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+export function indexedDBSessionStore({ dbName = 'range-request-fetcher', storeName = 'sessions' } = {}) {
+  let dbPromise
+
+  const open = () => {
+    if (!dbPromise) {
+      const req = indexedDB.open(dbName, 1)
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName, { keyPath: 'id' })
+      dbPromise = request(req)
+    }
+    return dbPromise
+  }
+
+  const objectStore = async (mode) => (await open()).transaction(storeName, mode).objectStore(storeName)
+
+  return {
+    get: async (id) => (await request((await objectStore('readonly')).get(id))) || null,
+    put: async (record) => { await request((await objectStore('readwrite')).put(record)) },
+    delete: async (id) => { await request((await objectStore('readwrite')).delete(id)) },
+    list: async () => request((await objectStore('readonly')).getAll())
+  }
+}
+
+export function fileSessionStore(directory = '.range-request-fetcher') {
+  const suffix = '.session.json'
+
+  const modules = async () => ({
+    fs: await import('node:fs/promises'),
+    path: await import('node:path')
+  })
+
+  return {
+    get: async (id) => {
+      const { fs, path } = await modules()
+      try {
+        return JSON.parse(await fs.readFile(path.join(directory, `${id}${suffix}`), 'utf8'))
+      } catch (err) {
+        if (err.code === 'ENOENT') return null
+        throw err
+      }
+    },
+    // Write to a temp file first so a crash mid-write never leaves a truncated record
+    put: async (record) => {
+      const { fs, path } = await modules()
+      await fs.mkdir(directory, { recursive: true })
+      const file = path.join(directory, `${record.id}${suffix}`)
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(record))
+      await fs.rename(`${file}.tmp`, file)
+    },
+    delete: async (id) => {
+      const { fs, path } = await modules()
+      await fs.rm(path.join(directory, `${id}${suffix}`), { force: true })
+    },
+    list: async () => {
+      const { fs, path } = await modules()
+      let files
+      try {
+        files = await fs.readdir(directory)
+      } catch (err) {
+        if (err.code === 'ENOENT') return []
+        throw err
+      }
+      const records = []
+      for (const file of files.filter(name => name.endsWith(suffix))) {
+        records.push(JSON.parse(await fs.readFile(path.join(directory, file), 'utf8')))
+      }
+      return records
+    }
+  }
+}
+
+// A download to a Node.js path keeps its session beside the .part file, as
+// `<path>.part.session.json`, so running the same download again resumes it
+export function partFileSession(path) {
+  const split = Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\'))
+  const directory = split < 0 ? '.' : path.slice(0, split) || path[0]
+  return { store: fileSessionStore(directory), id: `${path.slice(split + 1)}.part` }
+}
+
+export const defaultSessionStore = () =>
+  typeof indexedDB !== 'undefined' ? indexedDBSessionStore() : fileSessionStore()
+
+export const createSessionId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
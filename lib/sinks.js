@@ -0,0 +1,274 @@
+// A sink receives the downloaded bytes. Every adapter exposes the same shape:
+// open({ fileName, size, resume }), write(data, position), close() -> result, abort()
+// `positional` tells the fetcher whether writes may arrive out of order.
+// Resumable sinks also offer flush() to make written bytes durable,
+// reference() to describe themselves in a saved session (see restoreSink) and
+// exists() to tell whether the bytes of an earlier run are still there.
+// discard() deletes the partial bytes of a download that was cancelled.
+// `checkpointInterval` is the default time between checkpoints for sinks whose flush() is costly.
+
+// Committing a writable file stream copies the whole file, so these sinks checkpoint once a minute
+const FILE_HANDLE_CHECKPOINT_INTERVAL = 60 * 1000
+
+const toBytes = (data) => data instanceof Uint8Array ? data : new Uint8Array(data)
+
+export function fileHandleSink(fileHandle) {
+  let writer
+  let cursor = 0
+
+  const openWriter = async (keepExistingData) => {
+    writer = keepExistingData ? await fileHandle.createWritable({ keepExistingData }) : await fileHandle.createWritable()
+    cursor = 0
+  }
+
+  return {
+    positional: true,
+    checkpointInterval: FILE_HANDLE_CHECKPOINT_INTERVAL,
+    open: async ({ resume } = {}) => {
+      if (resume && typeof fileHandle.requestPermission === 'function') {
+        const permission = await fileHandle.requestPermission({ mode: 'readwrite' })
+        if (permission !== 'granted') throw new Error('Permission to write the saved file was denied')
+      }
+      await openWriter(resume)
+    },
+    write: async (data, position) => {
+      if (position === cursor) {
+        await writer.write(data)
+      } else {
+        await writer.write({ type: 'write', position, data })
+      }
+      cursor = position + data.byteLength
+    },
+    // Writable file streams only reach the disk when closed, so commit and reopen
+    flush: async () => {
+      await writer.close()
+      await openWriter(true)
+    },
+    reference: () => ({ type: 'file-handle', handle: fileHandle }),
+    close: async () => {
+      await writer.close()
+      return fileHandle
+    },
+    // Closing (rather than aborting) the writable keeps the bytes written so far
+    abort: async () => {
+      if (writer) await writer.close()
+    }
+  }
+}
+
+export function filePickerSink(pickerOptions = {}) {
+  let handleSink
+
+  return {
+    positional: true,
+    checkpointInterval: FILE_HANDLE_CHECKPOINT_INTERVAL,
+    open: async ({ fileName, resume }) => {
+      // Reopening (e.g. after a restart) reuses the file the user already picked
+      if (!handleSink) {
+        if (typeof window === 'undefined' || !window.showSaveFilePicker) {
+          throw new Error('showSaveFilePicker is not available here, pass a `path` or a `sink`')
+        }
+        const fileHandle = await window.showSaveFilePicker({ suggestedName: fileName, ...pickerOptions })
+        handleSink = fileHandleSink(fileHandle)
+      }
+      await handleSink.open({ resume })
+    },
+    write: (data, position) => handleSink.write(data, position),
+    flush: () => handleSink.flush(),
+    reference: () => handleSink ? handleSink.reference() : null,
+    close: () => handleSink.close(),
+    abort: async () => {
+      if (handleSink) await handleSink.abort()
+    }
+  }
+}
+
+export function opfsSink(name) {
+  let fileHandle
+  let handleSink
+  let accessHandle
+
+  return {
+    positional: true,
+    // Synchronous access handles flush in place
+    get checkpointInterval() {
+      return handleSink ? FILE_HANDLE_CHECKPOINT_INTERVAL : undefined
+    },
+    open: async ({ fileName, resume }) => {
+      name = name || fileName
+      const root = await navigator.storage.getDirectory()
+      fileHandle = await root.getFileHandle(name, { create: true })
+      // Safari only offers synchronous access handles, and only inside workers
+      if (typeof fileHandle.createWritable === 'function') {
+        handleSink = fileHandleSink(fileHandle)
+        await handleSink.open({ resume })
+      } else {
+        accessHandle = await fileHandle.createSyncAccessHandle()
+      }
+    },
+    write: async (data, position) => {
+      if (handleSink) return handleSink.write(data, position)
+      accessHandle.write(toBytes(data), { at: position })
+    },
+    flush: async () => {
+      if (handleSink) return handleSink.flush()
+      accessHandle.flush()
+    },
+    reference: () => ({ type: 'opfs', name }),
+    close: async () => {
+      if (handleSink) return handleSink.close()
+      accessHandle.flush()
+      accessHandle.close()
+      return fileHandle
+    },
+    abort: async () => {
+      if (handleSink) await handleSink.abort()
+      if (accessHandle) accessHandle.close()
+    }
+  }
+}
+
+export function memorySink({ as = 'blob', type = '' } = {}) {
+  let bytes = new Uint8Array(0)
+  let length = 0
+
+  const ensureCapacity = (needed) => {
+    if (needed <= bytes.byteLength) return
+    const grown = new Uint8Array(Math.max(needed, bytes.byteLength * 2))
+    grown.set(bytes.subarray(0, length))
+    bytes = grown
+  }
+
+  return {
+    positional: true,
+    open: async ({ size }) => {
+      bytes = new Uint8Array(size > 0 ? size : 0)
+      length = 0
+    },
+    write: async (data, position) => {
+      const chunk = toBytes(data)
+      ensureCapacity(position + chunk.byteLength)
+      bytes.set(chunk, position)
+      length = Math.max(length, position + chunk.byteLength)
+    },
+    close: async () => {
+      const buffer = bytes.byteLength === length ? bytes.buffer : bytes.slice(0, length).buffer
+      return as === 'arraybuffer' ? buffer : new Blob([buffer], { type })
+    },
+    abort: async () => {
+      bytes = new Uint8Array(0)
+      length = 0
+    }
+  }
+}
+
+export function writableStreamSink(stream) {
+  let writer
+
+  return {
+    positional: false,
+    open: async () => {
+      writer = stream.getWriter()
+    },
+    write: (data) => writer.write(toBytes(data)),
+    close: async () => {
+      await writer.close()
+      return stream
+    },
+    abort: async (reason) => {
+      if (writer) await writer.abort(reason)
+    }
+  }
+}
+
+// Exposes the bytes as `stream`, in order. A write waits while the consumer's queue is full,
+// which holds up the download behind it. onCancel is called when the consumer cancels.
+export function readableStreamSink({ highWaterMark = 1024 * 1024, onCancel = () => {} } = {}) {
+  let controller
+  let cancelled = false
+  let wake = null
+
+  const release = () => {
+    if (wake) wake()
+    wake = null
+  }
+
+  const stream = new ReadableStream({
+    start: (c) => {
+      controller = c
+    },
+    pull: release,
+    cancel: (reason) => {
+      cancelled = true
+      release()
+      onCancel(reason)
+    }
+  }, { highWaterMark, size: (chunk) => chunk.byteLength })
+
+  return {
+    positional: false,
+    stream,
+    open: async () => {},
+    write: async (data) => {
+      if (cancelled) return
+      controller.enqueue(toBytes(data))
+      while (controller.desiredSize <= 0 && !cancelled) await new Promise(resolve => { wake = resolve })
+    },
+    close: async () => {
+      if (!cancelled) controller.close()
+      return stream
+    },
+    abort: async (reason) => {
+      if (!cancelled) controller.error(reason)
+    }
+  }
+}
+
+// Bytes go to `<path>.part`, which is synced and renamed once the download is complete,
+// so whatever sits at `path` is always a whole file. An empty partSuffix writes to `path` itself.
+export function nodeFileSink(path, { partSuffix = '.part' } = {}) {
+  const partPath = `${path}${partSuffix}`
+  const fs = () => import('node:fs/promises')
+  let handle
+
+  return {
+    positional: true,
+    open: async ({ resume } = {}) => {
+      handle = await (await fs()).open(partPath, resume ? 'r+' : 'w')
+    },
+    write: async (data, position) => {
+      const chunk = toBytes(data)
+      await handle.write(chunk, 0, chunk.byteLength, position)
+    },
+    flush: () => handle.sync(),
+    exists: async () => {
+      try {
+        await (await fs()).access(partPath)
+        return true
+      } catch {
+        return false
+      }
+    },
+    discard: () => fs().then(({ rm }) => rm(partPath, { force: true })),
+    reference: () => ({ type: 'node-file', path, partSuffix }),
+    close: async () => {
+      await handle.sync()
+      await handle.close()
+      if (partPath !== path) await (await fs()).rename(partPath, path)
+      return path
+    },
+    abort: async () => {
+      if (handle) await handle.close()
+    }
+  }
+}
+
+export function restoreSink(reference) {
+  if (!reference) throw new Error('The saved session has no resumable sink, pass a sink to resume it')
+  switch (reference.type) {
+    case 'file-handle': return fileHandleSink(reference.handle)
+    case 'opfs': return opfsSink(reference.name)
+    case 'node-file': return nodeFileSink(reference.path, { partSuffix: reference.partSuffix })
+    default: throw new Error(`Unknown sink type in saved session: ${reference.type}`)
+  }
+}
@@ -0,0 +1,45 @@
+// Token bucket holding up to one second of transfer. A read larger than the bucket still goes
+// through, leaving the bucket in debt, so the average rate holds without splitting reads.
+
+const UNLIMITED = Infinity
+
+export function createRateLimiter(bytesPerSecond = UNLIMITED) {
+  let rate = bytesPerSecond || UNLIMITED
+  let tokens = rate
+  let updated = Date.now()
+  let queue = Promise.resolve()
+
+  const refill = () => {
+    const now = Date.now()
+    tokens = Math.min(rate, tokens + ((now - updated) / 1000) * rate)
+    updated = now
+  }
+
+  // Callers are served in order; waits are short so a new rate applies almost at once
+  const take = (bytes) => {
+    const task = queue.then(async () => {
+      while (rate !== UNLIMITED) {
+        refill()
+        if (tokens >= 0) {
+          tokens -= bytes
+          return
+        }
+        await new Promise(r => setTimeout(r, Math.min(100, (-tokens / rate) * 1000)))
+      }
+    })
+    queue = task
+    return task
+  }
+
+  return {
+    take,
+    setRate: (bytesPerSecond) => {
+      if (rate !== UNLIMITED) refill()
+      rate = bytesPerSecond || UNLIMITED
+      updated = Date.now()
+    },
+    get rate() {
+      return rate === UNLIMITED ? null : rate
+    }
+  }
+}
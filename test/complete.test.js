@@ -1,6 +1,35 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { rangeRequestFetcher } from '../index.js'
-import { mockWriter, mockFileHandle } from './setup.js'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises'
+import { createHash } from 'node:crypto'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createServer } from 'node:http'
+import { gzipSync } from 'node:zlib'
+import {
+  rangeRequestFetcher,
+  createDownloadManager,
+  createRangeReader,
+  handleDownloads,
+  serviceWorkerDownload,
+  createRateLimiter,
+  fileHandleSink,
+  memorySink,
+  writableStreamSink,
+  readableStreamSink,
+  nodeFileSink,
+  fileSessionStore,
+  ResourceChangedError,
+  RangesIgnoredError,
+  IntegrityError,
+  HttpStatusError,
+  NetworkError,
+  TimeoutError,
+  RetryExhaustedError,
+  DownloadAbortedError,
+  DownloadState
+} from '../index.js'
+import { run as runCli, EXIT_CODES } from '../lib/cli.js'
+import { mockWriter, mockFileHandle, mockHead, partialResponse, fullResponse, multipartResponse, rangeServer, mockRangeServer, nativeFetch, NativeAbortController } from './setup.js'
 
 describe('Range Request Fetcher', () => {
   beforeEach(() => {
@@ -127,6 +156,29 @@ describe('Range Request Fetcher', () => {
       await expect(controller.promise).rejects.toThrow('Download aborted')
     })
 
+    it('should cancel the HEAD request and never open the sink when aborted while probing', async () => {
+      let headInit = null
+      fetch.mockImplementationOnce((url, init) => {
+        headInit = init
+        return new Promise((resolve, reject) => {
+          const check = () => {
+            if (!init.signal.aborted) return setTimeout(check, 5)
+            reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }))
+          }
+          check()
+        })
+      })
+      const sink = { open: vi.fn(), write: vi.fn(), close: vi.fn(), abort: vi.fn() }
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.zip', sink })
+      await vi.waitFor(() => expect(headInit).not.toBeNull())
+      controller.abort()
+
+      await expect(controller.promise).rejects.toBeInstanceOf(DownloadAbortedError)
+      expect(headInit.signal.aborted).toBe(true)
+      expect(sink.open).not.toHaveBeenCalled()
+    })
+
     it('should not allow resume after abort', async () => {
       const controller = rangeRequestFetcher({
         url: 'https://example.com/file.zip',
@@ -154,18 +206,10 @@ describe('Range Request Fetcher', () => {
       const onStatus = vi.fn()
 
       // Mock HEAD request
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        headers: {
-          get: vi.fn().mockReturnValue(fileSize.toString())
-        }
-      })
+      mockHead(fileSize)
 
       // Mock file download
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        arrayBuffer: vi.fn().mockResolvedValue(fileContent)
-      })
+      fetch.mockResolvedValueOnce(partialResponse(fileContent, 0, fileSize))
 
       const controller = rangeRequestFetcher({
         url: 'https://example.com/test.bin',
@@ -179,7 +223,8 @@ describe('Range Request Fetcher', () => {
       // Verify HEAD request
       expect(fetch).toHaveBeenCalledWith('https://example.com/test.bin', {
         method: 'HEAD',
-        headers: {}
+        headers: {},
+        signal: expect.anything()
       })
 
       // Verify file picker was called
@@ -206,15 +251,9 @@ describe('Range Request Fetcher', () => {
       const fileSize = 512
       const fileContent = new ArrayBuffer(fileSize)
 
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
-      })
+      mockHead(fileSize)
 
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        arrayBuffer: vi.fn().mockResolvedValue(fileContent)
-      })
+      fetch.mockResolvedValueOnce(partialResponse(fileContent, 0, fileSize))
 
       const controller = rangeRequestFetcher({
         url: 'https://example.com/unnamed-file'
@@ -234,15 +273,9 @@ describe('Range Request Fetcher', () => {
       const fileSize = 1024
       const fileContent = new ArrayBuffer(fileSize)
 
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
-      })
+      mockHead(fileSize)
 
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        arrayBuffer: vi.fn().mockResolvedValue(fileContent)
-      })
+      fetch.mockResolvedValueOnce(partialResponse(fileContent, 0, fileSize))
 
       const controller = rangeRequestFetcher({
         url: 'https://api.example.com/secure-file',
@@ -256,7 +289,8 @@ describe('Range Request Fetcher', () => {
         method: 'HEAD',
         headers: {
           Authorization: `Bearer ${token}`
-        }
+        },
+        signal: expect.anything()
       })
     })
 
@@ -268,15 +302,9 @@ describe('Range Request Fetcher', () => {
       const fileSize = 1024
       const fileContent = new ArrayBuffer(fileSize)
 
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
-      })
+      mockHead(fileSize)
 
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        arrayBuffer: vi.fn().mockResolvedValue(fileContent)
-      })
+      fetch.mockResolvedValueOnce(partialResponse(fileContent, 0, fileSize))
 
       const controller = rangeRequestFetcher({
         url: 'https://api.example.com/file-with-headers',
@@ -288,7 +316,8 @@ describe('Range Request Fetcher', () => {
 
       expect(fetch).toHaveBeenCalledWith('https://api.example.com/file-with-headers', {
         method: 'HEAD',
-        headers: customHeaders
+        headers: customHeaders,
+        signal: expect.anything()
       })
     })
   })
@@ -300,6 +329,12 @@ describe('Range Request Fetcher', () => {
         status: 404
       })
 
+      // The range probe that follows fails too
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404
+      })
+
       const controller = rangeRequestFetcher({
         url: 'https://example.com/missing-file.bin',
         fileName: 'missing.bin'
@@ -308,18 +343,25 @@ describe('Range Request Fetcher', () => {
       await expect(controller.promise).rejects.toThrow('Failed to get file info: 404')
     })
 
-    it('should handle missing Content-Length header', async () => {
+    it('should probe the size with a one-byte range when Content-Length is missing', async () => {
       fetch.mockResolvedValueOnce({
         ok: true,
         headers: { get: vi.fn().mockReturnValue(null) }
       })
 
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(1), 0, 2048))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2048), 0, 2048))
+
       const controller = rangeRequestFetcher({
         url: 'https://example.com/no-size.bin',
         fileName: 'no-size.bin'
       })
 
-      await expect(controller.promise).rejects.toThrow('Could not determine file size')
+      await controller.promise
+
+      expect(fetch.mock.calls[1][1].headers.Range).toBe('bytes=0-0')
+      expect(fetch.mock.calls[2][1].headers.Range).toBe('bytes=0-2047')
+      expect(controller.getProgress()).toBe(100)
     })
 
     it('should handle chunk download failures with retries', async () => {
@@ -327,19 +369,13 @@ describe('Range Request Fetcher', () => {
       const fileContent = new ArrayBuffer(fileSize)
       const onStatus = vi.fn()
 
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
-      })
+      mockHead(fileSize)
 
       // First attempt fails
       fetch.mockRejectedValueOnce(new Error('Network error'))
       
       // Second attempt succeeds
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        arrayBuffer: vi.fn().mockResolvedValue(fileContent)
-      })
+      fetch.mockResolvedValueOnce(partialResponse(fileContent, 0, fileSize))
 
       const controller = rangeRequestFetcher({
         url: 'https://example.com/flaky-file.bin',
@@ -358,10 +394,7 @@ describe('Range Request Fetcher', () => {
       const fileSize = 1024
       const onStatus = vi.fn()
 
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
-      })
+      mockHead(fileSize)
 
       // All attempts fail
       fetch.mockRejectedValue(new Error('Persistent network error'))
@@ -378,16 +411,2254 @@ describe('Range Request Fetcher', () => {
     })
   })
 
-  describe('Download Control Integration', () => {
-    it('should abort download and reject promise', async () => {
-      const fileSize = 1000000
+  describe('Output Sinks', () => {
+    it('should resolve with an in-memory Blob when using memorySink', async () => {
+      const fileContent = new Uint8Array([1, 2, 3, 4]).buffer
+
+      mockHead(4)
+
+      fetch.mockResolvedValueOnce(partialResponse(fileContent, 0, fileContent.byteLength))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/small.bin',
+        sink: memorySink({ type: 'application/octet-stream' })
+      })
+
+      const blob = await controller.promise
+
+      expect(blob).toBeInstanceOf(Blob)
+      expect(blob.type).toBe('application/octet-stream')
+      expect(blob.size).toBe(4)
+      expect(window.showSaveFilePicker).not.toHaveBeenCalled()
+    })
+
+    it('should place chunks at their byte offsets with memorySink', async () => {
+      mockHead(4)
+
+      fetch.mockResolvedValueOnce(partialResponse(new Uint8Array([1, 2]).buffer, 0, 4))
+      fetch.mockResolvedValueOnce(partialResponse(new Uint8Array([3, 4]).buffer, 2, 4))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/small.bin',
+        chunkSize: 2,
+        sink: memorySink({ as: 'arraybuffer' })
+      })
+
+      const buffer = await controller.promise
+
+      expect(new Uint8Array(buffer)).toEqual(new Uint8Array([1, 2, 3, 4]))
+    })
+
+    it('should write into any WritableStream', async () => {
+      const received = []
+      const stream = new WritableStream({ write: (chunk) => { received.push(...chunk) } })
+
+      mockHead(3)
+
+      fetch.mockResolvedValueOnce(partialResponse(new Uint8Array([7, 8, 9]).buffer, 0, 3))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/small.bin',
+        sink: writableStreamSink(stream)
+      })
+
+      await controller.promise
+
+      expect(received).toEqual([7, 8, 9])
+    })
+
+    it('should only talk to a custom sink adapter', async () => {
+      const sink = {
+        open: vi.fn(),
+        write: vi.fn(),
+        close: vi.fn().mockResolvedValue('saved'),
+        abort: vi.fn()
+      }
+
+      mockHead(2, { 'content-disposition': 'attachment; filename="report.csv"' })
+
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 0, 2))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/report',
+        sink
+      })
+
+      await expect(controller.promise).resolves.toBe('saved')
+      expect(sink.open).toHaveBeenCalledWith({ fileName: 'report.csv', size: 2, resume: false })
+      expect(sink.write).toHaveBeenCalledWith(expect.any(ArrayBuffer), 0)
+      expect(sink.abort).not.toHaveBeenCalled()
+      expect(window.showSaveFilePicker).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Parallel Chunks', () => {
+    it('should keep several range requests in flight and write each at its offset', async () => {
+      const bytes = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7])
+      // Earlier chunks answer last so writes land out of order
+      const server = mockRangeServer(bytes, { delayFor: (start) => 40 - start * 4 })
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/parallel.bin',
+        chunkSize: 2,
+        concurrency: 3,
+        sink: memorySink({ as: 'arraybuffer' })
+      })
+
+      const buffer = await controller.promise
+
+      expect(server.maxInFlight).toBe(3)
+      expect(new Uint8Array(buffer)).toEqual(bytes)
+      expect(controller.getProgress()).toBe(100)
+    })
+
+    it('should use positional writes on file handles when chunks arrive out of order', async () => {
+      mockRangeServer(4, { delayFor: (start) => start === 0 ? 30 : 0 })
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/parallel.bin',
+        chunkSize: 2,
+        concurrency: 2
+      })
+
+      await controller.promise
+
+      expect(mockWriter.write).toHaveBeenCalledWith({ type: 'write', position: 2, data: expect.any(ArrayBuffer) })
+      expect(mockWriter.write).toHaveBeenCalledWith({ type: 'write', position: 0, data: expect.any(ArrayBuffer) })
+    })
+
+    it('should deliver bytes in order to sinks that cannot seek', async () => {
+      const bytes = new Uint8Array([9, 8, 7, 6, 5, 4])
+      const received = []
+      const stream = new WritableStream({ write: (chunk) => { received.push(...chunk) } })
+      mockRangeServer(bytes, { delayFor: (start) => 30 - start * 5 })
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/parallel.bin',
+        chunkSize: 2,
+        concurrency: 3,
+        sink: writableStreamSink(stream)
+      })
+
+      await controller.promise
+
+      expect(received).toEqual([9, 8, 7, 6, 5, 4])
+    })
+
+    it('should reject a concurrency below 1 before opening the sink', async () => {
+      mockRangeServer(4)
+      const sink = { open: vi.fn(), write: vi.fn(), close: vi.fn(), abort: vi.fn() }
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/parallel.bin', concurrency: 0, sink })
+
+      await expect(controller.promise).rejects.toThrow('concurrency must be a positive integer, got 0')
+      expect(sink.open).not.toHaveBeenCalled()
+      expect(sink.close).not.toHaveBeenCalled()
+    })
+
+    it('should stop the other chunks when one exhausts its retries', async () => {
+      mockRangeServer(4, {
+        fail: ({ headers }) => headers.Range === 'bytes=0-1' && Promise.reject(new Error('Connection reset')),
+        delayFor: () => 50
+      })
+      const sink = { open: vi.fn(), write: vi.fn(), close: vi.fn(), abort: vi.fn() }
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/parallel.bin',
+        chunkSize: 2,
+        concurrency: 2,
+        maxRetries: 1,
+        sink
+      })
+
+      await expect(controller.promise).rejects.toThrow('Chunk 0-1 failed after 1 retries')
+      expect(sink.write).not.toHaveBeenCalledWith(expect.anything(), 0)
+      expect(sink.abort).toHaveBeenCalled()
+    })
+  })
+
+  describe('Streaming Writes', () => {
+    const streamingResponse = (pieces, start, total, error) => ({
+      ...partialResponse(new ArrayBuffer(0), start, total),
+      headers: {
+        get: (name) => name.toLowerCase() === 'content-range'
+          ? `bytes ${start}-${total - 1}/${total}`
+          : null
+      },
+      body: new ReadableStream({
+        pull(controller) {
+          if (pieces.length) controller.enqueue(new Uint8Array(pieces.shift()))
+          else if (error) controller.error(error)
+          else controller.close()
+        }
+      })
+    })
+
+    it('should write each piece as it arrives and re-request only the rest after a drop', async () => {
+      mockHead(6)
+      fetch.mockResolvedValueOnce(streamingResponse([[1, 2], [3]], 0, 6, new Error('Connection reset')))
+      fetch.mockResolvedValueOnce(streamingResponse([[4, 5, 6]], 3, 6))
+      const sink = { open: vi.fn(), write: vi.fn(), close: vi.fn(), abort: vi.fn() }
       const onStatus = vi.fn()
 
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', maxRetries: 2, sink, onStatus })
+
+      await controller.promise
+
+      expect(fetch.mock.calls[2][1].headers.Range).toBe('bytes=3-5')
+      expect(onStatus).toHaveBeenCalledWith('retrying 0-5, attempt 1')
+      expect(sink.write.mock.calls.map(([data, position]) => [[...data], position])).toEqual([
+        [[1, 2], 0],
+        [[3], 2],
+        [[4, 5, 6], 3]
+      ])
+      expect(controller.getProgress()).toBe(100)
+    })
+  })
+
+  describe('Progress Details', () => {
+    it('should report bytes, rate, retries and the chunks in flight', async () => {
+      mockHead(4)
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 0, 4))
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 2, 4))
+      const details = []
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        chunkSize: 2,
+        sink: memorySink(),
+        retry: { baseDelay: 100, jitter: 0 },
+        progressInterval: 20,
+        onProgressDetail: (stats) => details.push(stats)
+      })
+
+      await controller.promise
+
+      // Reported while the second chunk waits to be retried
+      expect(details).toContainEqual(expect.objectContaining({
+        loaded: 2,
+        total: 4,
+        percent: 50,
+        retries: 1,
+        chunks: [{ index: 1, start: 2, end: 3, loaded: 0, retries: 1 }]
+      }))
+      expect(details.at(-1)).toMatchObject({ loaded: 4, percent: 100, chunks: [] })
+      expect(controller.getStats()).toMatchObject({ loaded: 4, total: 4, percent: 100, retries: 1, chunks: [] })
+      expect(controller.getStats().bytesPerSecond).toBeGreaterThan(0)
+    })
+
+    it('should push updates at the configured interval while a chunk is pending', async () => {
+      mockHead(4)
+      fetch.mockImplementationOnce(() => new Promise(resolve => setTimeout(() => resolve(partialResponse(new ArrayBuffer(4), 0, 4)), 150)))
+      const details = []
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        progressInterval: 20,
+        onProgressDetail: (stats) => details.push(stats)
+      })
+
+      await controller.promise
+
+      const waiting = details.filter(stats => stats.loaded === 0)
+      expect(waiting.length).toBeGreaterThan(2)
+      expect(waiting[0]).toMatchObject({ total: 4, eta: null, chunks: [{ index: 0, start: 0, end: 3, loaded: 0 }] })
+    })
+
+    it('should report at the interval rather than on every read', async () => {
+      mockHead(1000)
       fetch.mockResolvedValueOnce({
-        ok: true,
-        headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
+        ...partialResponse(new ArrayBuffer(0), 0, 1000),
+        headers: { get: (name) => name.toLowerCase() === 'content-range' ? 'bytes 0-999/1000' : null },
+        body: new ReadableStream({
+          start(controller) {
+            for (let i = 0; i < 1000; i++) controller.enqueue(new Uint8Array(1))
+            controller.close()
+          }
+        })
+      })
+      const onProgressDetail = vi.fn()
+      const progress = vi.fn()
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink(), progressInterval: 10000, onProgressDetail })
+      controller.addEventListener('progress', progress)
+      await controller.promise
+
+      // Only the final update
+      expect(onProgressDetail).toHaveBeenCalledTimes(1)
+      expect(onProgressDetail).toHaveBeenCalledWith(expect.objectContaining({ loaded: 1000, percent: 100 }))
+      expect(progress).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('Error Classes', () => {
+    const statusResponse = (status, headers = {}) => ({
+      ok: false,
+      status,
+      headers: { get: (name) => headers[name.toLowerCase()] || null }
+    })
+
+    it('should fail at once with an HttpStatusError for non-transient statuses', async () => {
+      mockHead(4)
+      fetch.mockResolvedValueOnce(statusResponse(404))
+      const onStatus = vi.fn()
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/missing.bin', sink: memorySink(), onStatus })
+
+      const err = await controller.promise.catch(err => err)
+      expect(err).toBeInstanceOf(HttpStatusError)
+      expect(err).toMatchObject({ status: 404, retryable: false, url: 'https://example.com/missing.bin' })
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(onStatus).not.toHaveBeenCalledWith(expect.stringContaining('retrying'))
+    })
+
+    it('should retry 429 and 5xx responses after the Retry-After delay', async () => {
+      mockHead(4)
+      fetch.mockResolvedValueOnce(statusResponse(429, { 'retry-after': '0' }))
+      fetch.mockResolvedValueOnce(statusResponse(503, { 'retry-after': new Date(Date.now() - 1000).toUTCString() }))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(4), 0, 4))
+      const onStatus = vi.fn()
+      const started = Date.now()
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink(), onStatus })
+
+      await controller.promise
+
+      // Without Retry-After the two retries would wait 1 s and 2 s
+      expect(Date.now() - started).toBeLessThan(1000)
+      expect(onStatus).toHaveBeenCalledWith('retrying 0-3, attempt 2')
+      expect(onStatus).toHaveBeenCalledWith('done')
+    })
+
+    it('should fail at once, without retrying, when the sink cannot write', async () => {
+      mockRangeServer(4)
+      const full = Object.assign(new Error('ENOSPC: no space left on device, write'), { code: 'ENOSPC' })
+      const write = vi.fn(async () => { throw full })
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        chunkSize: 2,
+        sink: { open: async () => {}, write, close: async () => {}, abort: async () => {} },
+        retry: { retries: 3, baseDelay: 1 }
+      })
+
+      await expect(controller.promise).rejects.toBe(full)
+      expect(write).toHaveBeenCalledTimes(1)
+    })
+
+    it('should wrap dropped connections in NetworkError and report exhausted retries', async () => {
+      mockHead(4)
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'))
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', maxRetries: 1, sink: memorySink() })
+
+      const err = await controller.promise.catch(err => err)
+      expect(err).toBeInstanceOf(RetryExhaustedError)
+      expect(err).toMatchObject({ range: [0, 3], attempts: 1 })
+      expect(err.cause).toBeInstanceOf(NetworkError)
+      expect(err.cause.cause).toBeInstanceOf(TypeError)
+    })
+
+    it('should reject with DownloadAbortedError when cancelled', async () => {
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink() })
+
+      controller.abort()
+
+      await expect(controller.promise).rejects.toBeInstanceOf(DownloadAbortedError)
+    })
+  })
+
+  describe('Retry Policy', () => {
+    it('should back off exponentially up to maxDelay and report each retry', async () => {
+      mockHead(4)
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(4), 0, 4))
+      const onRetry = vi.fn()
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        retry: { baseDelay: 10, factor: 3, maxDelay: 50, jitter: 0, onRetry }
+      })
+
+      await controller.promise
+
+      expect(onRetry.mock.calls.map(([info]) => info.delay)).toEqual([10, 30, 50])
+      expect(onRetry.mock.calls[2][0]).toMatchObject({ attempt: 3, range: [0, 3], totalRetries: 2 })
+      expect(onRetry.mock.calls[0][0].error).toBeInstanceOf(NetworkError)
+    })
+
+    it('should share the retry budget across all chunks', async () => {
+      mockHead(4)
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 0, 4))
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        chunkSize: 2,
+        sink: memorySink(),
+        retry: { baseDelay: 1, budget: 1 }
+      })
+
+      const err = await controller.promise.catch(err => err)
+      expect(err).toBeInstanceOf(RetryExhaustedError)
+      expect(err).toMatchObject({ reason: 'budget', range: [2, 3] })
+    })
+
+    it('should give up when the next attempt would pass the deadline', async () => {
+      mockHead(4)
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        retry: { baseDelay: 60000, jitter: 0, deadline: 1000 }
+      })
+
+      await expect(controller.promise).rejects.toMatchObject({ name: 'RetryExhaustedError', reason: 'deadline' })
+    })
+
+    it('should let onRetry veto or reschedule an attempt', async () => {
+      mockHead(4)
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        retry: { onRetry: ({ attempt }) => attempt === 1 ? 0 : false }
+      })
+
+      await expect(controller.promise).rejects.toMatchObject({ reason: 'vetoed', attempts: 2 })
+      expect(fetch).toHaveBeenCalledTimes(3)
+    })
+
+    it('should accept a function as the whole policy', async () => {
+      mockHead(4)
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(4), 0, 4))
+      const retry = vi.fn(() => 0)
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink(), retry })
+
+      await controller.promise
+
+      expect(retry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, range: [0, 3], totalRetries: 0 }))
+    })
+  })
+
+  describe('Credential Refresh', () => {
+    const unauthorized = (status = 401) => ({ ok: false, status, headers: { get: () => null } })
+
+    it('should fetch a new token on 401 and retry the chunk without losing progress', async () => {
+      mockHead(4)
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 0, 4))
+      fetch.mockResolvedValueOnce(unauthorized())
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 2, 4))
+      const tokens = ['first', 'second']
+      const getToken = vi.fn(async () => tokens.shift())
+      const onStatus = vi.fn()
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        chunkSize: 2,
+        sink: memorySink(),
+        getToken,
+        onStatus
+      })
+
+      await controller.promise
+
+      expect(getToken).toHaveBeenCalledTimes(2)
+      expect(fetch.mock.calls.map(([, init]) => [init.headers.Range, init.headers.Authorization])).toEqual([
+        [undefined, 'Bearer first'],
+        ['bytes=0-1', 'Bearer first'],
+        ['bytes=2-3', 'Bearer first'],
+        ['bytes=2-3', 'Bearer second']
+      ])
+      expect(onStatus).not.toHaveBeenCalledWith(expect.stringContaining('retrying'))
+    })
+
+    it('should re-sign the URL on 403', async () => {
+      mockHead(4)
+      fetch.mockResolvedValueOnce(unauthorized(403))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(4), 0, 4))
+      let signature = 0
+      const getUrl = vi.fn(async () => `https://bucket.example.com/file.bin?sig=${++signature}`)
+
+      const controller = rangeRequestFetcher({ getUrl, sink: memorySink() })
+
+      await controller.promise
+
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        'https://bucket.example.com/file.bin?sig=1',
+        'https://bucket.example.com/file.bin?sig=1',
+        'https://bucket.example.com/file.bin?sig=2'
+      ])
+    })
+
+    it('should refresh ahead of expiry when a TTL is given', async () => {
+      mockRangeServer(4, { delayFor: () => 20 })
+      const getToken = vi.fn(async () => 'token')
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        chunkSize: 2,
+        sink: memorySink(),
+        getToken,
+        credentialsTTL: 10
       })
 
+      await controller.promise
+
+      // Once up front, then again before the second chunk once the first took longer than the TTL
+      expect(getToken).toHaveBeenCalledTimes(2)
+    })
+
+    it('should give up when fresh credentials are rejected too', async () => {
+      mockHead(4)
+      fetch.mockResolvedValue(unauthorized())
+      const getToken = vi.fn(async () => 'revoked')
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink(), getToken })
+
+      await expect(controller.promise).rejects.toMatchObject({ name: 'HttpStatusError', status: 401 })
+      expect(getToken).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('Resumable Sessions', () => {
+    let directory
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'range-fetcher-'))
+    })
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true })
+    })
+
+    const mockFile = (bytes, failingRange) => mockRangeServer(bytes, {
+      headers: { etag: '"v1"' },
+      fail: ({ headers }) => headers.Range === failingRange && Promise.reject(new Error('Connection reset'))
+    })
+
+    it('should checkpoint a failed download and resume it from the saved ranges', async () => {
+      const bytes = new Uint8Array([1, 2, 3, 4, 5, 6])
+      const sessionStore = fileSessionStore(join(directory, 'sessions'))
+      const path = join(directory, 'file.bin')
+      mockFile(bytes, 'bytes=4-5')
+
+      const first = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        fileName: 'file.bin',
+        chunkSize: 2,
+        maxRetries: 1,
+        sink: nodeFileSink(path),
+        sessionStore,
+        checkpointInterval: 0
+      })
+
+      await expect(first.promise).rejects.toThrow('Chunk 4-5 failed after 1 retries')
+
+      const sessions = await rangeRequestFetcher.listSessions({ sessionStore })
+      expect(sessions).toHaveLength(1)
+      expect(sessions[0]).toMatchObject({
+        id: first.sessionId,
+        url: 'https://example.com/file.bin',
+        size: 6,
+        validator: { etag: '"v1"' },
+        completed: [[0, 3]],
+        sink: { type: 'node-file', path }
+      })
+
+      mockFile(bytes)
+      fetch.mockClear()
+
+      const resumed = rangeRequestFetcher.resume(first.sessionId, { sessionStore, chunkSize: 2 })
+      await expect(resumed.promise).resolves.toBe(path)
+
+      const ranges = fetch.mock.calls.filter(([, init]) => init.method === 'GET').map(([, init]) => init.headers.Range)
+      expect(ranges).toEqual(['bytes=4-5'])
+      expect(new Uint8Array(await readFile(path))).toEqual(bytes)
+      expect(resumed.getProgress()).toBe(100)
+      expect(await rangeRequestFetcher.listSessions({ sessionStore })).toEqual([])
+    })
+
+    it('should refuse to resume when the remote file changed', async () => {
+      const sessionStore = fileSessionStore(directory)
+      await sessionStore.put({
+        id: 'stale',
+        url: 'https://example.com/file.bin',
+        fileName: 'file.bin',
+        size: 6,
+        validator: { etag: '"v0"' },
+        completed: [[0, 1]],
+        sink: null
+      })
+      mockFile(new Uint8Array(6))
+
+      const resumed = rangeRequestFetcher.resume('stale', { sessionStore, sink: memorySink() })
+
+      await expect(resumed.promise).rejects.toThrow('Remote file changed since the session was saved')
+    })
+
+    it('should checkpoint File System Access sinks once a minute by default', async () => {
+      const writable = { write: vi.fn(async () => {}), close: vi.fn(async () => {}) }
+      const fileHandle = { createWritable: vi.fn(async () => writable) }
+      const sessionStore = { get: vi.fn(async () => null), put: vi.fn(async () => {}), delete: vi.fn(async () => {}), list: vi.fn(async () => []) }
+      let now = Date.now()
+      const clock = vi.spyOn(Date, 'now').mockImplementation(() => now)
+      mockHead(4)
+      // Each chunk takes 20 s
+      for (let start = 0; start < 4; start++) {
+        fetch.mockImplementationOnce(() => {
+          now += 20000
+          return Promise.resolve(partialResponse(new ArrayBuffer(1), start, 4))
+        })
+      }
+
+      try {
+        const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', chunkSize: 1, sink: fileHandleSink(fileHandle), sessionStore })
+        await controller.promise
+      } finally {
+        clock.mockRestore()
+      }
+
+      expect(sessionStore.put).toHaveBeenCalledTimes(1)
+      // Opened, then committed and reopened by that one checkpoint
+      expect(fileHandle.createWritable).toHaveBeenCalledTimes(2)
+    })
+
+    it('should reject unknown session ids', async () => {
+      const resumed = rangeRequestFetcher.resume('missing', { sessionStore: fileSessionStore(directory) })
+
+      await expect(resumed.promise).rejects.toThrow('No saved session found for missing')
+    })
+
+    it('should forget the session once the download is cancelled', async () => {
+      const sessionStore = fileSessionStore(directory)
+      mockFile(new Uint8Array(4))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        sessionStore,
+        sessionId: 'cancelled'
+      })
+      controller.abort()
+
+      await expect(controller.promise).rejects.toThrow('Download aborted')
+      expect(await readdir(directory)).toEqual([])
+    })
+  })
+
+  describe('Remote File Changes', () => {
+    const versionedServer = (versions) => {
+      let current = 0
+      const server = {
+        replace: () => { current++ },
+        ranges: []
+      }
+
+      fetch.mockImplementation((url, init) => {
+        const { etag, lastModified, bytes } = versions[current]
+        const headers = { etag, 'last-modified': lastModified }
+        if (init.method !== 'HEAD') server.ranges.push({ range: init.headers.Range, ifRange: init.headers['If-Range'] })
+
+        return rangeServer(bytes, {
+          headers,
+          respond: () => [etag, lastModified].includes(init.headers['If-Range']) ? undefined : fullResponse(bytes.buffer, headers)
+        })(url, init)
+      })
+
+      return server
+    }
+
+    it('should send If-Range with the strong ETag from the HEAD response', async () => {
+      const server = versionedServer([{ etag: '"abc"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT', bytes: new Uint8Array(4) }])
+
+      await rangeRequestFetcher({ url: 'https://example.com/file.bin', chunkSize: 2, sink: memorySink() }).promise
+
+      expect(server.ranges).toEqual([
+        { range: 'bytes=0-1', ifRange: '"abc"' },
+        { range: 'bytes=2-3', ifRange: '"abc"' }
+      ])
+    })
+
+    it('should fall back to Last-Modified when the ETag is weak', async () => {
+      const lastModified = 'Mon, 01 Jan 2024 00:00:00 GMT'
+      const server = versionedServer([{ etag: 'W/"abc"', lastModified, bytes: new Uint8Array(2) }])
+
+      await rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink() }).promise
+
+      expect(server.ranges[0].ifRange).toBe(lastModified)
+    })
+
+    it('should reject with ResourceChangedError when the server answers 200 to If-Range', async () => {
+      const server = versionedServer([
+        { etag: '"v1"', bytes: new Uint8Array(4) },
+        { etag: '"v2"', bytes: new Uint8Array(4) }
+      ])
+      const onStatus = vi.fn()
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        chunkSize: 2,
+        sink: memorySink(),
+        onStatus
+      })
+      onStatus.mockImplementation((status) => {
+        if (status === 'downloading') server.replace()
+      })
+
+      const error = await controller.promise.catch(err => err)
+
+      expect(error).toBeInstanceOf(ResourceChangedError)
+      expect(error.message).toBe('Remote file changed during download')
+      expect(error.expected.etag).toBe('"v1"')
+      expect(error.received.etag).toBe('"v2"')
+      // Not retried: a changed file won't fix itself
+      expect(server.ranges).toHaveLength(2)
+    })
+
+    it('should accept a 200 to If-Range with the same ETag when the whole file was asked for', async () => {
+      const bytes = new Uint8Array([1, 2, 3])
+      mockRangeServer(bytes, { headers: { etag: '"v1"' }, respond: () => fullResponse(bytes.buffer, { etag: '"v1"' }) })
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink({ as: 'arraybuffer' }) })
+
+      expect(new Uint8Array(await controller.promise)).toEqual(bytes)
+    })
+
+    it('should fall back to a single GET when a 200 to If-Range carries the same ETag', async () => {
+      const bytes = new Uint8Array([1, 2, 3, 4, 5, 6])
+      mockRangeServer(bytes, { headers: { etag: '"v1"' }, respond: () => fullResponse(bytes.buffer, { etag: '"v1"' }) })
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', chunkSize: 2, sink: memorySink({ as: 'arraybuffer' }) })
+
+      expect(new Uint8Array(await controller.promise)).toEqual(bytes)
+      const gets = fetch.mock.calls.filter(([, init]) => init.method === 'GET')
+      expect(gets.map(([, init]) => init.headers.Range)).toEqual(['bytes=0-1', undefined])
+    })
+
+    it('should reject when a partial response carries a different ETag', async () => {
+      mockHead(2, { etag: '"v1"' })
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 0, 2, { etag: '"v2"' }))
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink() })
+
+      await expect(controller.promise).rejects.toBeInstanceOf(ResourceChangedError)
+    })
+
+    it('should restart from scratch when onResourceChange is restart', async () => {
+      const server = versionedServer([
+        { etag: '"v1"', bytes: new Uint8Array([1, 1, 1, 1]) },
+        { etag: '"v2"', bytes: new Uint8Array([2, 2, 2, 2, 2, 2]) }
+      ])
+      const statuses = []
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        chunkSize: 2,
+        sink: memorySink({ as: 'arraybuffer' }),
+        onResourceChange: 'restart',
+        onStatus: (status) => {
+          statuses.push(status)
+          if (status === 'downloading' && statuses.filter(s => s === 'downloading').length === 1) server.replace()
+        }
+      })
+
+      const buffer = await controller.promise
+
+      expect(statuses).toContain('restarting')
+      expect(new Uint8Array(buffer)).toEqual(new Uint8Array([2, 2, 2, 2, 2, 2]))
+      expect(server.ranges.slice(-3).every(({ ifRange }) => ifRange === '"v2"')).toBe(true)
+    })
+  })
+
+  describe('Integrity Verification', () => {
+    const bytes = new Uint8Array([104, 101, 108, 108, 111, 33])
+    const digest = (algorithm, encoding) => createHash(algorithm).update(bytes).digest(encoding)
+
+    const mockFile = (headers = {}, delayFor = () => 0) => mockRangeServer(bytes, { headers, delayFor })
+
+    it('should verify an SRI sha256 hash and report the verifying phase', async () => {
+      const statuses = []
+      mockFile()
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/firmware.bin',
+        chunkSize: 4,
+        sink: memorySink(),
+        integrity: `sha256-${digest('sha256', 'base64')}`,
+        onStatus: (status) => statuses.push(status)
+      })
+
+      await controller.promise
+
+      expect(statuses.slice(-3)).toEqual(['verifying', 'finalizing', 'done'])
+    })
+
+    it('should verify hashes of chunks committed out of order', async () => {
+      mockFile({}, (start) => 20 - start * 3)
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/firmware.bin',
+        chunkSize: 2,
+        concurrency: 3,
+        sink: memorySink(),
+        integrity: digest('sha256', 'hex')
+      })
+
+      await expect(controller.promise).resolves.toBeInstanceOf(Blob)
+    })
+
+    it('should not run more than concurrency chunks ahead of the hashed bytes', async () => {
+      // The first chunk is slow, every other one is instant
+      mockFile({}, (start) => start === 0 ? 50 : 0)
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/firmware.bin',
+        chunkSize: 1,
+        concurrency: 2,
+        sink: memorySink(),
+        integrity: digest('sha256', 'hex')
+      })
+      await new Promise(r => setTimeout(r, 30))
+
+      expect(fetch.mock.calls.map(([, init]) => init.headers.Range).filter(Boolean)).toEqual(['bytes=0-0', 'bytes=1-1'])
+      await expect(controller.promise).resolves.toBeInstanceOf(Blob)
+      expect(fetch).toHaveBeenCalledTimes(7)
+    })
+
+    it('should reject with IntegrityError when the hash does not match', async () => {
+      const onStatus = vi.fn()
+      const sink = { open: vi.fn(), write: vi.fn(), close: vi.fn(), abort: vi.fn() }
+      mockFile()
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/firmware.bin',
+        sink,
+        integrity: '0'.repeat(64),
+        onStatus
+      })
+
+      const error = await controller.promise.catch(err => err)
+
+      expect(error).toBeInstanceOf(IntegrityError)
+      expect(error.algorithm).toBe('sha256')
+      expect(error.expected).toBe('0'.repeat(64))
+      expect(error.actual).toBe(digest('sha256', 'hex'))
+      expect(onStatus).toHaveBeenCalledWith('verifying')
+      expect(onStatus).toHaveBeenCalledWith('error')
+      expect(sink.close).not.toHaveBeenCalled()
+      expect(sink.abort).toHaveBeenCalled()
+    })
+
+    it('should honor Repr-Digest and Content-MD5 headers when asked to', async () => {
+      mockFile({
+        'repr-digest': `sha-256=:${digest('sha256', 'base64')}:`,
+        'content-md5': digest('md5', 'base64')
+      })
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/firmware.bin',
+        sink: memorySink(),
+        verifyDigestHeaders: true
+      })
+
+      await expect(controller.promise).resolves.toBeInstanceOf(Blob)
+    })
+
+    it('should reject when a Digest header does not match', async () => {
+      mockFile({ digest: `md5=${createHash('md5').update('other').digest('base64')}` })
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/firmware.bin',
+        sink: memorySink(),
+        verifyDigestHeaders: true
+      })
+
+      await expect(controller.promise).rejects.toMatchObject({ name: 'IntegrityError', source: 'Digest', algorithm: 'md5' })
+    })
+
+    it('should ignore digest headers unless verifyDigestHeaders is set', async () => {
+      mockFile({ digest: `md5=${createHash('md5').update('other').digest('base64')}` })
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/firmware.bin', sink: memorySink() })
+
+      await expect(controller.promise).resolves.toBeInstanceOf(Blob)
+    })
+  })
+
+  describe('Range Response Validation', () => {
+    it('should reject a 200 answer to a partial range as a chunk failure', async () => {
+      const onStatus = vi.fn()
+      mockHead(4)
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        arrayBuffer: () => Promise.resolve(new ArrayBuffer(4))
+      })
+      const sink = { open: vi.fn(), write: vi.fn(), close: vi.fn(), abort: vi.fn() }
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/no-ranges.bin',
+        chunkSize: 2,
+        maxRetries: 2,
+        sink,
+        onStatus
+      })
+
+      await expect(controller.promise).rejects.toThrow('Chunk 0-1 failed after 2 retries: Expected 206 for range 0-1, got 200')
+      expect(onStatus).toHaveBeenCalledWith('retrying 0-1, attempt 1')
+      expect(sink.write).not.toHaveBeenCalled()
+    })
+
+    it('should accept a 200 when the whole file was requested', async () => {
+      mockHead(4)
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        arrayBuffer: () => Promise.resolve(new Uint8Array([1, 2, 3, 4]).buffer)
+      })
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink({ as: 'arraybuffer' }) })
+
+      expect(new Uint8Array(await controller.promise)).toEqual(new Uint8Array([1, 2, 3, 4]))
+    })
+
+    it('should retry a truncated 206 from the first missing byte', async () => {
+      const onStatus = vi.fn()
+      const sink = { open: vi.fn(), write: vi.fn(), close: vi.fn(), abort: vi.fn() }
+      mockHead(4)
+      fetch.mockResolvedValueOnce({
+        ...partialResponse(new ArrayBuffer(1), 0, 4),
+        headers: { get: (name) => name.toLowerCase() === 'content-range' ? 'bytes 0-3/4' : null }
+      })
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(3), 1, 4))
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', maxRetries: 2, sink, onStatus })
+
+      await controller.promise
+
+      expect(onStatus).toHaveBeenCalledWith('retrying 0-3, attempt 1')
+      expect(fetch.mock.calls[2][1].headers.Range).toBe('bytes=1-3')
+      expect(sink.write.mock.calls.map(([data, position]) => [data.byteLength, position])).toEqual([[1, 0], [3, 1]])
+    })
+
+    it('should retry when Content-Range does not match the requested range', async () => {
+      mockHead(4)
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 2, 4))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 0, 8))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        chunkSize: 2,
+        maxRetries: 2,
+        sink: memorySink()
+      })
+
+      await expect(controller.promise).rejects.toThrow('Unexpected Content-Range for 0-1: bytes 0-1/8')
+    })
+  })
+
+  describe('Servers Without HEAD or Range Support', () => {
+    it('should read the size from Content-Range when HEAD is rejected', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 403, headers: { get: () => null } })
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(1), 0, 4, { etag: '"signed"' }))
+      fetch.mockResolvedValueOnce(partialResponse(new Uint8Array([1, 2, 3, 4]).buffer, 0, 4))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://bucket.s3.amazonaws.com/file?X-Amz-Signature=abc',
+        sink: memorySink({ as: 'arraybuffer' })
+      })
+
+      expect(new Uint8Array(await controller.promise)).toEqual(new Uint8Array([1, 2, 3, 4]))
+      expect(fetch.mock.calls[2][1].headers['If-Range']).toBe('"signed"')
+    })
+
+    it('should fall back to a single streamed GET when ranges are ignored', async () => {
+      const bytes = new Uint8Array([5, 6, 7, 8, 9])
+      fetch.mockResolvedValueOnce({ ok: false, status: 405, headers: { get: () => null } })
+      fetch.mockResolvedValueOnce(fullResponse(bytes.buffer))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://api.example.com/export',
+        chunkSize: 2,
+        sink: memorySink({ as: 'arraybuffer' })
+      })
+
+      expect(new Uint8Array(await controller.promise)).toEqual(bytes)
+      // The probe's full response is reused rather than requested again
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(controller.getProgress()).toBe(100)
+    })
+
+    it('should stream the probe answer when HEAD reports Accept-Ranges: none', async () => {
+      const bytes = new Uint8Array([1, 2, 3])
+      mockHead(3, { 'accept-ranges': 'none' })
+      fetch.mockResolvedValueOnce(fullResponse(bytes.buffer))
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', chunkSize: 2, sink: memorySink({ as: 'arraybuffer' }) })
+
+      expect(new Uint8Array(await controller.promise)).toEqual(bytes)
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should probe with a one-byte range when HEAD does not mention Accept-Ranges', async () => {
+      const bytes = new Uint8Array([1, 2, 3, 4])
+      mockHead(4, { 'accept-ranges': null })
+      // A server that ignores Range: the probe brings the whole file
+      fetch.mockResolvedValueOnce(fullResponse(bytes.buffer))
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', chunkSize: 2, sink: memorySink({ as: 'arraybuffer' }) })
+
+      expect(new Uint8Array(await controller.promise)).toEqual(bytes)
+      expect(fetch.mock.calls[1][1].headers.Range).toBe('bytes=0-0')
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should report progress in bytes when the size is unknown', async () => {
+      const onProgress = vi.fn()
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      // The body ends a little after its bytes, so an update falls in between
+      fetch.mockResolvedValueOnce({
+        ...fullResponse(new ArrayBuffer(0), { 'content-length': null }),
+        body: new ReadableStream({
+          start(controller) {
+            controller.enqueue(new Uint8Array(7))
+            setTimeout(() => controller.close(), 50)
+          }
+        })
+      })
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/live.log', sink: memorySink(), progressInterval: 10, onProgress })
+
+      const blob = await controller.promise
+
+      expect(blob.size).toBe(7)
+      expect(onProgress).toHaveBeenCalledWith(null, 7)
+    })
+
+    it('should start over when a streamed download fails', async () => {
+      const onStatus = vi.fn()
+      mockHead(3, { 'accept-ranges': 'none' })
+      // The connection drops after the first byte
+      fetch.mockResolvedValueOnce(fullResponse(new Uint8Array([1]).buffer, { 'content-length': '3' }))
+      fetch.mockResolvedValueOnce(fullResponse(new Uint8Array([1, 2, 3]).buffer))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        maxRetries: 2,
+        sink: memorySink({ as: 'arraybuffer' }),
+        onStatus
+      })
+
+      expect(new Uint8Array(await controller.promise)).toEqual(new Uint8Array([1, 2, 3]))
+      expect(onStatus).toHaveBeenCalledWith('retrying download, attempt 1')
+    })
+
+    it('should fail a streamed download whose sink rejects with an AbortError', async () => {
+      mockHead(8, { 'accept-ranges': 'none' })
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        body: new ReadableStream({
+          start(controller) {
+            controller.enqueue(new Uint8Array(4))
+            controller.enqueue(new Uint8Array(4))
+            controller.close()
+          }
+        })
+      })
+      const write = vi.fn()
+        .mockResolvedValueOnce()
+        .mockRejectedValue(new DOMException('The operation was aborted', 'AbortError'))
+      const close = vi.fn(async () => {})
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: { open: async () => {}, write, close, abort: async () => {} },
+        retry: { retries: 1, baseDelay: 1 }
+      })
+
+      await expect(controller.promise).rejects.toMatchObject({ name: 'AbortError' })
+      expect(write).toHaveBeenCalledTimes(2)
+      expect(close).not.toHaveBeenCalled()
+    })
+
+    it('should let abort() drop the connection kept from the range probe', async () => {
+      let probeInit = null
+      fetch.mockResolvedValueOnce({ ok: false, status: 405, headers: { get: () => null } })
+      fetch.mockImplementationOnce((url, init) => {
+        probeInit = init
+        let sent = false
+        // Sends one piece, then stalls until the request is aborted
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          headers: { get: () => null },
+          body: new ReadableStream({
+            pull(controller) {
+              if (!sent) {
+                sent = true
+                controller.enqueue(new Uint8Array(2))
+                return
+              }
+              return new Promise(resolve => {
+                const check = () => {
+                  if (!init.signal.aborted) return setTimeout(check, 5)
+                  controller.error(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }))
+                  resolve()
+                }
+                check()
+              })
+            }
+          })
+        })
+      })
+
+      const controller = rangeRequestFetcher({ url: 'https://api.example.com/export', sink: memorySink() })
+      await vi.waitFor(() => expect(controller.getStats().loaded).toBe(2))
+      controller.abort()
+
+      await expect(controller.promise).rejects.toBeInstanceOf(DownloadAbortedError)
+      expect(probeInit.signal.aborted).toBe(true)
+    })
+  })
+
+  describe('Download Manager', () => {
+    let server
+    const requested = () => fetch.mock.calls.filter(([, init]) => init.method === 'HEAD').map(([url]) => url)
+
+    beforeEach(() => {
+      server = mockRangeServer(4, { delayFor: () => 20 })
+    })
+
+    it('should run queued downloads by priority within the download limit', async () => {
+      const manager = createDownloadManager({ maxConcurrentDownloads: 1 })
+
+      const first = manager.add({ url: 'https://example.com/a', sink: memorySink() })
+      const low = manager.add({ url: 'https://example.com/b', sink: memorySink() })
+      const high = manager.add({ url: 'https://example.com/c', sink: memorySink() }, { priority: 5 })
+      const last = manager.add({ url: 'https://example.com/d', sink: memorySink() })
+      manager.moveToFront(last)
+
+      expect([first.state, low.state, high.state]).toEqual([DownloadState.PREPARING, DownloadState.QUEUED, DownloadState.QUEUED])
+
+      await Promise.all([first.promise, low.promise, high.promise, last.promise])
+
+      expect(requested()).toEqual(['https://example.com/a', 'https://example.com/c', 'https://example.com/d', 'https://example.com/b'])
+      expect(server.maxInFlight).toBe(1)
+    })
+
+    it('should share the connection limit between downloads', async () => {
+      const manager = createDownloadManager({ maxConnections: 3 })
+
+      const jobs = [1, 2, 3].map(n => manager.add({ url: `https://example.com/${n}`, chunkSize: 1, concurrency: 2, sink: memorySink() }))
+
+      expect(jobs.map(job => job.state)).toEqual([DownloadState.PREPARING, DownloadState.PREPARING, DownloadState.QUEUED])
+
+      await Promise.all(jobs.map(job => job.promise))
+
+      expect(server.maxInFlight).toBe(3)
+    })
+
+    it('should pause, resume and cancel every job', async () => {
+      const manager = createDownloadManager({ maxConcurrentDownloads: 1 })
+      const active = manager.add({ url: 'https://example.com/a', sink: memorySink() })
+      const queued = manager.add({ url: 'https://example.com/b', sink: memorySink() })
+
+      manager.pauseAll()
+      expect(active.isPaused()).toBe(true)
+      expect(queued.isPaused()).toBe(true)
+
+      manager.resumeAll()
+      expect(active.isPaused()).toBe(false)
+
+      manager.cancelAll()
+
+      await expect(active.promise).rejects.toThrow('Download aborted')
+      await expect(queued.promise).rejects.toBeInstanceOf(DownloadAbortedError)
+      expect(manager.getStats()).toMatchObject({ aborted: 2, queued: 0, active: 0 })
+      expect(requested()).toEqual(['https://example.com/a'])
+    })
+
+    it('should pass the download\'s events, stream, rate limit and states through the handle', async () => {
+      const manager = createDownloadManager({ maxConcurrentDownloads: 1 })
+      const first = manager.add({ url: 'https://example.com/a', sink: memorySink() })
+      // Four one-byte chunks would take 3 s at this rate
+      const queued = manager.add({ url: 'https://example.com/b', stream: true, chunkSize: 1, maxBytesPerSecond: 1 })
+      const states = []
+      queued.addEventListener('statechange', (event) => states.push(event.detail.state))
+      const events = queued.events()
+
+      expect(queued.state).toBe(DownloadState.QUEUED)
+      expect(queued.stream).toBeInstanceOf(ReadableStream)
+      queued.setRateLimit(null)
+      const started = Date.now()
+
+      const reader = queued.stream.getReader()
+      const received = []
+      for (let read = await reader.read(); !read.done; read = await reader.read()) received.push(...read.value)
+
+      await Promise.all([first.promise, queued.promise])
+      const types = []
+      for await (const event of events) types.push(event.type)
+
+      expect(received).toEqual([0, 0, 0, 0])
+      expect(Date.now() - started).toBeLessThan(1000)
+      expect(queued.state).toBe(DownloadState.DONE)
+      expect(states).toEqual(['preparing', 'downloading', 'finalizing', 'done'])
+      expect(types).toEqual(expect.arrayContaining(['statechange', 'chunkstart', 'chunkcomplete', 'done']))
+    })
+
+    it('should end the events of a job aborted while queued', async () => {
+      const manager = createDownloadManager({ maxConcurrentDownloads: 1 })
+      const active = manager.add({ url: 'https://example.com/a', sink: memorySink() })
+      const queued = manager.add({ url: 'https://example.com/b', stream: true })
+      const events = queued.events()
+
+      queued.abort()
+
+      const seen = []
+      for await (const event of events) seen.push(event.detail)
+      expect(seen).toEqual([{ state: 'aborted', previous: 'queued' }])
+      expect(queued.state).toBe(DownloadState.ABORTED)
+      await expect(queued.stream.getReader().read()).rejects.toBeInstanceOf(DownloadAbortedError)
+      manager.cancelAll()
+      await expect(active.promise).rejects.toBeInstanceOf(DownloadAbortedError)
+    })
+
+    it('should report combined progress across jobs', async () => {
+      const onProgress = vi.fn()
+      const manager = createDownloadManager({ onProgress })
+
+      const jobs = ['a', 'b'].map(name => manager.add({ url: `https://example.com/${name}`, sink: memorySink() }))
+      await Promise.all(jobs.map(job => job.promise))
+
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ loaded: 8, total: 8, percent: 100, done: 2 }))
+      expect(jobs[0].getStats()).toMatchObject({ loaded: 4, total: 4 })
+    })
+  })
+
+  describe('Bandwidth Limits', () => {
+    // A 206 whose body arrives in 1000-byte reads
+    const piecesResponse = (count, start = 0, total = count * 1000) => ({
+      ...partialResponse(new ArrayBuffer(count * 1000), start, total),
+      body: new ReadableStream({
+        pull(controller) {
+          if (count-- > 0) controller.enqueue(new Uint8Array(1000))
+          else controller.close()
+        }
+      })
+    })
+
+    it('should hold reads to maxBytesPerSecond', async () => {
+      mockHead(4000)
+      fetch.mockResolvedValueOnce(piecesResponse(4))
+      const started = Date.now()
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink(), maxBytesPerSecond: 2000 })
+
+      await controller.promise
+
+      // One second of burst covers the first reads, the last one waits for the bucket to refill
+      expect(Date.now() - started).toBeGreaterThanOrEqual(450)
+    })
+
+    it('should lift the limit live with setRateLimit', async () => {
+      mockHead(4000)
+      fetch.mockResolvedValueOnce(piecesResponse(4))
+      const started = Date.now()
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink(), maxBytesPerSecond: 100 })
+      setTimeout(() => controller.setRateLimit(null), 50)
+
+      await controller.promise
+
+      // At 100 bytes per second this would take about 30 s
+      expect(Date.now() - started).toBeLessThan(1000)
+    })
+
+    it('should apply a shared limiter to all downloads together', async () => {
+      mockRangeServer(2000, { respond: () => piecesResponse(2) })
+      const rateLimiter = createRateLimiter(2000)
+      const started = Date.now()
+
+      await Promise.all(['a', 'b'].map(name =>
+        rangeRequestFetcher({ url: `https://example.com/${name}`, sink: memorySink(), rateLimiter }).promise))
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(450)
+    })
+
+    it('should throttle every job of a download manager together', async () => {
+      mockRangeServer(2000, { respond: () => piecesResponse(2) })
+      const manager = createDownloadManager({ maxBytesPerSecond: 10 })
+      const started = Date.now()
+
+      const jobs = ['a', 'b'].map(name => manager.add({ url: `https://example.com/${name}`, sink: memorySink() }))
+      setTimeout(() => manager.setRateLimit(2000), 50)
+      await Promise.all(jobs.map(job => job.promise))
+
+      const elapsed = Date.now() - started
+      expect(elapsed).toBeGreaterThanOrEqual(450)
+      expect(elapsed).toBeLessThan(3000)
+    })
+  })
+
+  describe('Adaptive Chunk Size', () => {
+    const requestedRanges = () => fetch.mock.calls.filter(([, init]) => init.method !== 'HEAD').map(([, init]) => init.headers.Range)
+
+    it('should grow chunks while they finish quickly, up to the maximum', async () => {
+      mockRangeServer(16)
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        adaptiveChunkSize: { min: 2, max: 8, initial: 2, targetDuration: 1000 }
+      })
+
+      await controller.promise
+
+      expect(requestedRanges()).toEqual(['bytes=0-1', 'bytes=2-5', 'bytes=6-13', 'bytes=14-15'])
+      expect(controller.getStats().chunkSize).toBe(8)
+    })
+
+    it('should shrink chunks after failed attempts', async () => {
+      let failures = 2
+      mockRangeServer(12, { fail: () => failures-- > 0 && Promise.reject(new TypeError('net::ERR_HTTP2_PROTOCOL_ERROR')) })
+      const sizes = []
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        retry: { baseDelay: 1 },
+        adaptiveChunkSize: { min: 2, max: 8, initial: 8, targetDuration: 1000 }
+      })
+      controller.addEventListener('retry', () => sizes.push(controller.getStats().chunkSize))
+
+      await controller.promise
+
+      // 8 -> 4 -> 2 after two failures, then doubling again as chunks complete quickly
+      expect(requestedRanges()).toEqual(['bytes=0-7', 'bytes=0-7', 'bytes=0-7', 'bytes=8-11'])
+      expect(sizes).toEqual([4, 2])
+    })
+
+    it('should not count time spent paused against a chunk', async () => {
+      mockRangeServer(16)
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        concurrency: 1,
+        adaptiveChunkSize: { min: 2, max: 8, initial: 4, targetDuration: 100 }
+      })
+      controller.addEventListener('chunkstart', ({ detail }) => {
+        if (detail.index !== 0) return
+        controller.pause()
+        setTimeout(() => controller.resume(), 250)
+      })
+
+      await controller.promise
+
+      // The first chunk sat paused for longer than twice the target, yet transferred quickly
+      expect(requestedRanges()).toEqual(['bytes=0-3', 'bytes=4-11', 'bytes=12-15'])
+    })
+  })
+
+  describe('Mirrors', () => {
+    const mirrorServer = (files) => {
+      const servers = Object.fromEntries(Object.entries(files).map(([url, { size, etag, fail, delay = 0 }]) =>
+        [url, rangeServer(size, { headers: { etag }, fail, delayFor: () => delay })]))
+      return (url, init) => servers[url](url, init)
+    }
+    const mirrorReport = (controller) => controller.getStats().mirrors.map(({ url, state, ranges }) => ({ url, state, ranges }))
+
+    it('should spread ranges across mirrors and report who served which bytes', async () => {
+      fetch.mockImplementation(mirrorServer({
+        'https://a.example.com/file.bin': { size: 8, etag: '"v1"' },
+        'https://b.example.com/file.bin': { size: 8, etag: '"v1"' }
+      }))
+
+      const controller = rangeRequestFetcher({
+        url: ['https://a.example.com/file.bin', 'https://b.example.com/file.bin'],
+        chunkSize: 2,
+        sink: memorySink()
+      })
+
+      await controller.promise
+
+      expect(mirrorReport(controller)).toEqual([
+        { url: 'https://a.example.com/file.bin', state: 'active', ranges: [[0, 1], [4, 5]] },
+        { url: 'https://b.example.com/file.bin', state: 'active', ranges: [[2, 3], [6, 7]] }
+      ])
+      expect(controller.getStats().mirrors.map(mirror => mirror.bytes)).toEqual([4, 4])
+    })
+
+    it('should leave out mirrors whose size or ETag differs', async () => {
+      fetch.mockImplementation(mirrorServer({
+        'https://a.example.com/file.bin': { size: 4, etag: '"v1"' },
+        'https://b.example.com/file.bin': { size: 5, etag: '"v1"' },
+        'https://c.example.com/file.bin': { size: 4, etag: '"v2"' }
+      }))
+
+      const controller = rangeRequestFetcher({
+        url: ['https://a.example.com/file.bin', 'https://b.example.com/file.bin', 'https://c.example.com/file.bin'],
+        chunkSize: 1,
+        sink: memorySink()
+      })
+
+      await controller.promise
+
+      expect(mirrorReport(controller).map(({ state, ranges }) => [state, ranges])).toEqual([
+        ['active', [[0, 3]]],
+        ['mismatch', []],
+        ['mismatch', []]
+      ])
+    })
+
+    it('should demote a failing mirror and move its ranges to the healthy ones', async () => {
+      fetch.mockImplementation(mirrorServer({
+        // The healthy mirror is slower, so the failing one keeps looking less busy
+        'https://a.example.com/file.bin': { size: 6, delay: 20 },
+        'https://b.example.com/file.bin': { size: 6, fail: () => Promise.reject(new TypeError('Failed to fetch')) }
+      }))
+
+      const controller = rangeRequestFetcher({
+        url: ['https://a.example.com/file.bin', 'https://b.example.com/file.bin'],
+        chunkSize: 1,
+        concurrency: 2,
+        retry: { baseDelay: 1 },
+        sink: memorySink()
+      })
+
+      await controller.promise
+
+      expect(controller.getStats().mirrors).toMatchObject([
+        { state: 'active', bytes: 6, ranges: [[0, 5]] },
+        { state: 'demoted', bytes: 0, failures: 3 }
+      ])
+    })
+
+    it('should drop a mirror that answers with a non-retryable status', async () => {
+      fetch.mockImplementation(mirrorServer({
+        'https://a.example.com/file.bin': { size: 4 },
+        'https://b.example.com/file.bin': { size: 4, fail: () => Promise.resolve({ ok: false, status: 404, headers: { get: () => null } }) }
+      }))
+      const onStatus = vi.fn()
+
+      const controller = rangeRequestFetcher({
+        url: ['https://a.example.com/file.bin', 'https://b.example.com/file.bin'],
+        chunkSize: 2,
+        sink: memorySink(),
+        onStatus
+      })
+
+      await controller.promise
+
+      expect(mirrorReport(controller).map(({ state }) => state)).toEqual(['active', 'failed'])
+      expect(onStatus).not.toHaveBeenCalledWith(expect.stringContaining('retrying'))
+    })
+
+    it('should name the mirror that failed in errors and retry decisions', async () => {
+      fetch.mockImplementation(mirrorServer({
+        'https://a.example.com/file.bin': { size: 4, delay: 20 },
+        'https://b.example.com/file.bin': { size: 4, fail: () => Promise.resolve({ ok: false, status: 503, headers: { get: () => null } }) }
+      }))
+      const onRetry = vi.fn()
+
+      const controller = rangeRequestFetcher({
+        url: ['https://a.example.com/file.bin', 'https://b.example.com/file.bin'],
+        chunkSize: 1,
+        concurrency: 2,
+        retry: { baseDelay: 1, onRetry },
+        sink: memorySink()
+      })
+
+      await controller.promise
+
+      expect(onRetry).toHaveBeenCalled()
+      for (const [{ url, error }] of onRetry.mock.calls) {
+        expect(url).toBe('https://b.example.com/file.bin')
+        expect(error).toMatchObject({ status: 503, url: 'https://b.example.com/file.bin' })
+      }
+    })
+  })
+
+  describe('Timeouts', () => {
+    it('should abort and retry a request that gets no response within requestTimeout', async () => {
+      mockHead(4)
+      fetch.mockImplementationOnce(() => new Promise(() => {}))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(4), 0, 4))
+      const onStatus = vi.fn()
+      const errors = []
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        requestTimeout: 50,
+        retry: { baseDelay: 1, onRetry: ({ error }) => { errors.push(error) } },
+        onStatus
+      })
+
+      await controller.promise
+
+      expect(fetch.mock.calls[1][1].signal.aborted).toBe(true)
+      expect(errors[0]).toBeInstanceOf(TimeoutError)
+      expect(errors[0]).toMatchObject({ phase: 'request', timeout: 50 })
+      expect(onStatus.mock.calls.map(([status]) => status)).toEqual(expect.arrayContaining(['timeout 0-3', 'retrying 0-3, attempt 1', 'done']))
+    })
+
+    it('should give up on a HEAD request that gets no response within requestTimeout', async () => {
+      fetch.mockImplementationOnce(() => new Promise(() => {}))
+      const sink = { open: vi.fn(), write: vi.fn(), close: vi.fn(), abort: vi.fn() }
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink, requestTimeout: 50 })
+
+      await expect(controller.promise).rejects.toMatchObject({ name: 'TimeoutError', phase: 'request', timeout: 50 })
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(true)
+      expect(sink.open).not.toHaveBeenCalled()
+    })
+
+    it('should retry the rest of a chunk whose body stalls for idleTimeout', async () => {
+      mockHead(4)
+      let sent = false
+      fetch.mockResolvedValueOnce({
+        ...partialResponse(new ArrayBuffer(0), 0, 4),
+        headers: { get: (name) => name.toLowerCase() === 'content-range' ? 'bytes 0-3/4' : null },
+        body: new ReadableStream({
+          pull(controller) {
+            if (sent) return new Promise(() => {})
+            sent = true
+            controller.enqueue(new Uint8Array(2))
+          }
+        })
+      })
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 2, 4))
+      const onStatus = vi.fn()
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        idleTimeout: 50,
+        retry: { baseDelay: 1 },
+        onStatus
+      })
+
+      await controller.promise
+
+      expect(onStatus).toHaveBeenCalledWith('timeout 0-3')
+      expect(fetch.mock.calls[2][1].headers.Range).toBe('bytes=2-3')
+    })
+  })
+
+  describe('Pausing Releases the Connection', () => {
+    // Like a real fetch body: errors with an AbortError once the request's signal is aborted
+    const abortableResponse = (init, first, start, total) => {
+      let sent = false
+      return {
+        ...partialResponse(new ArrayBuffer(0), start, total),
+        headers: { get: (name) => name.toLowerCase() === 'content-range' ? `bytes ${start}-${total - 1}/${total}` : null },
+        body: new ReadableStream({
+          pull(controller) {
+            if (!sent) {
+              sent = true
+              controller.enqueue(new Uint8Array(first))
+              return
+            }
+            return new Promise(resolve => {
+              const check = () => {
+                if (!init.signal.aborted) return setTimeout(check, 5)
+                controller.error(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }))
+                resolve()
+              }
+              check()
+            })
+          }
+        })
+      }
+    }
+
+    it('should abort the request on pause and ask for the rest on resume', async () => {
+      mockHead(4)
+      fetch.mockImplementationOnce((url, init) => Promise.resolve(abortableResponse(init, [1, 2], 0, 4)))
+      fetch.mockResolvedValueOnce(partialResponse(new Uint8Array([3, 4]).buffer, 2, 4))
+      let paused = null
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink({ as: 'arraybuffer' }),
+        onProgressDetail: ({ loaded }) => {
+          if (loaded === 2 && !paused) paused = controller.pause()
+        }
+      })
+
+      await vi.waitFor(() => expect(paused).not.toBeNull())
+      await paused
+      await new Promise(r => setTimeout(r, 30))
+      expect(fetch.mock.calls[1][1].signal.aborted).toBe(true)
+      expect(fetch).toHaveBeenCalledTimes(2)
+
+      await controller.resume()
+
+      expect(new Uint8Array(await controller.promise)).toEqual(new Uint8Array([1, 2, 3, 4]))
+      expect(fetch.mock.calls[2][1].headers.Range).toBe('bytes=2-3')
+    })
+
+    it('should settle pause() once the received bytes are checkpointed', async () => {
+      mockHead(4)
+      fetch.mockImplementationOnce((url, init) => Promise.resolve(abortableResponse(init, [1, 2], 0, 4)))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 2, 4))
+      const sessionStore = { get: vi.fn(async () => null), put: vi.fn(async () => {}), delete: vi.fn(async () => {}), list: vi.fn(async () => []) }
+      let paused = null
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        sessionStore,
+        onProgressDetail: ({ loaded }) => {
+          if (loaded === 2 && !paused) paused = controller.pause()
+        }
+      })
+
+      await vi.waitFor(() => expect(paused).not.toBeNull())
+      await paused
+
+      expect(sessionStore.put).toHaveBeenLastCalledWith(expect.objectContaining({ completed: [[0, 1]] }))
+
+      controller.resume()
+      await controller.promise
+    })
+
+    it('should fail, not restart, a chunk whose sink rejects with an AbortError', async () => {
+      mockHead(2)
+      fetch.mockImplementation(() => Promise.resolve(partialResponse(new ArrayBuffer(2), 0, 2)))
+      // What a WritableStream aborted through a pipeTo() signal rejects with
+      const write = vi.fn(async () => { throw new DOMException('The operation was aborted', 'AbortError') })
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: { open: async () => {}, write, close: async () => {}, abort: async () => {} },
+        retry: { retries: 2, baseDelay: 1 }
+      })
+
+      await expect(controller.promise).rejects.toMatchObject({ name: 'AbortError' })
+      expect(write).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('Events and States', () => {
+    it('should dispatch typed events and move through the states', async () => {
+      mockHead(4)
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 0, 4))
+      fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(2), 2, 4))
+      const states = []
+      const chunks = []
+      const progress = vi.fn()
+      const done = vi.fn()
+
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.bin', sink: memorySink(), chunkSize: 2 })
+      expect(controller).toBeInstanceOf(EventTarget)
+      expect(controller.state).toBe(DownloadState.PREPARING)
+      controller.addEventListener('statechange', (event) => states.push([event.detail.previous, event.detail.state]))
+      controller.addEventListener('chunkstart', (event) => chunks.push(['start', event.detail.start, event.detail.end]))
+      controller.addEventListener('chunkcomplete', (event) => chunks.push(['complete', event.detail.start, event.detail.bytes]))
+      controller.addEventListener('progress', progress)
+      controller.addEventListener('done', done)
+
+      await controller.promise
+
+      expect(states).toEqual([['preparing', 'downloading'], ['downloading', 'finalizing'], ['finalizing', 'done']])
+      expect(chunks).toEqual([['start', 0, 1], ['complete', 0, 2], ['start', 2, 3], ['complete', 2, 2]])
+      expect(progress.mock.lastCall[0].detail).toMatchObject({ loaded: 4, total: 4, percent: 100 })
+      expect(done).toHaveBeenCalledTimes(1)
+      expect(controller.state).toBe('done')
+    })
+
+    it('should yield events from events() until the download fails', async () => {
+      mockHead(4)
+      fetch.mockRejectedValue(new Error('Connection reset'))
+
+      const controller = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: memorySink(),
+        retry: { retries: 2, baseDelay: 1 }
+      })
+      const events = []
+      for await (const event of controller.events()) events.push(event)
+
+      await expect(controller.promise).rejects.toBeInstanceOf(RetryExhaustedError)
+      expect(events.filter(event => event.type === 'retry').map(event => event.detail))
+        .toEqual([expect.objectContaining({ range: [0, 3], attempt: 1, error: expect.any(NetworkError) })])
+      expect(events.at(-2).detail).toEqual({ state: 'failed', previous: 'downloading' })
+      expect(events.at(-1).type).toBe('error')
+      expect(events.at(-1).detail.error).toBeInstanceOf(RetryExhaustedError)
+      expect(controller.state).toBe(DownloadState.FAILED)
+    })
+
+    it('should ignore controls the current state does not allow', async () => {
+      const controller = rangeRequestFetcher({ url: 'https://example.com/file.zip', sink: memorySink() })
+      const states = []
+      controller.addEventListener('statechange', (event) => states.push(event.detail.state))
+
+      controller.pause()
+      controller.abort()
+      await controller.resume()
+      await controller.pause()
+      controller.abort()
+
+      expect(states).toEqual(['paused', 'aborted'])
+      expect(controller.state).toBe('aborted')
+      expect(controller.isPaused()).toBe(true)
+      await expect(controller.promise).rejects.toBeInstanceOf(DownloadAbortedError)
+
+      const iterator = controller.events()
+      expect(await iterator.next()).toEqual({ done: true, value: undefined })
+    })
+  })
+
+  describe('Node.js Downloads', () => {
+    const bytes = new Uint8Array(Array.from({ length: 10 }, (_, i) => i + 1))
+    let directory
+    let server
+    let fileUrl
+    let failing
+    let mockedAbortController
+
+    // Serves `bytes` with HEAD and single-range GET support; ranges listed in `failing` get a 500
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'range-fetcher-'))
+      failing = new Set()
+      server = createServer((req, res) => {
+        const headers = { 'Accept-Ranges': 'bytes', ETag: '"v1"' }
+        if (req.method === 'HEAD') {
+          res.writeHead(200, { ...headers, 'Content-Length': bytes.length })
+          return res.end()
+        }
+        const [start, end] = req.headers.range.replace('bytes=', '').split('-').map(Number)
+        if (failing.has(`${start}-${end}`)) {
+          res.writeHead(500)
+          return res.end()
+        }
+        res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${end}/${bytes.length}` })
+        res.end(bytes.slice(start, end + 1))
+      })
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+      fileUrl = `http://127.0.0.1:${server.address().port}/file.bin`
+      // Node's fetch only accepts its own abort signals
+      mockedAbortController = global.AbortController
+      global.AbortController = NativeAbortController
+      fetch.mockImplementation(nativeFetch)
+    })
+
+    afterEach(async () => {
+      global.AbortController = mockedAbortController
+      await new Promise(resolve => server.close(resolve))
+      await rm(directory, { recursive: true, force: true })
+    })
+
+    it('should write to a .part file and rename it once the download is complete', async () => {
+      const path = join(directory, 'file.bin')
+
+      const controller = rangeRequestFetcher({ url: fileUrl, path, chunkSize: 3, concurrency: 2 })
+
+      await expect(controller.promise).resolves.toBe(path)
+      expect(new Uint8Array(await readFile(path))).toEqual(bytes)
+      expect(await readdir(directory)).toEqual(['file.bin'])
+    })
+
+    it('should resume from an existing .part file on the next run', async () => {
+      const path = join(directory, 'file.bin')
+      failing.add('6-8')
+
+      const first = rangeRequestFetcher({ url: fileUrl, path, chunkSize: 3, maxRetries: 1, checkpointInterval: 0 })
+
+      await expect(first.promise).rejects.toBeInstanceOf(RetryExhaustedError)
+      expect((await readdir(directory)).sort()).toEqual(['file.bin.part', 'file.bin.part.session.json'])
+
+      failing.clear()
+      fetch.mockClear()
+      const second = rangeRequestFetcher({ url: fileUrl, path, chunkSize: 3 })
+
+      await expect(second.promise).resolves.toBe(path)
+      const ranges = fetch.mock.calls.filter(([, init]) => init.method === 'GET').map(([, init]) => init.headers.Range)
+      expect(ranges).toEqual(['bytes=6-8', 'bytes=9-9'])
+      expect(new Uint8Array(await readFile(path))).toEqual(bytes)
+      expect(await readdir(directory)).toEqual(['file.bin'])
+    })
+
+    it('should start over when the .part file was deleted', async () => {
+      const path = join(directory, 'file.bin')
+      failing.add('3-5')
+
+      const first = rangeRequestFetcher({ url: fileUrl, path, chunkSize: 3, maxRetries: 1, checkpointInterval: 0 })
+      await expect(first.promise).rejects.toBeInstanceOf(RetryExhaustedError)
+      await rm(`${path}.part`)
+
+      failing.clear()
+      const second = rangeRequestFetcher({ url: fileUrl, path, chunkSize: 5 })
+
+      await expect(second.promise).resolves.toBe(path)
+      expect(new Uint8Array(await readFile(path))).toEqual(bytes)
+    })
+
+    it('should remove the .part file and its session when aborted', async () => {
+      const path = join(directory, 'file.bin')
+      failing.add('3-5')
+
+      const controller = rangeRequestFetcher({ url: fileUrl, path, chunkSize: 3, retry: { baseDelay: 200, jitter: 0 }, checkpointInterval: 0 })
+      await vi.waitFor(() => expect(controller.getStats().retries).toBe(1))
+      expect(await readdir(directory)).toContain('file.bin.part')
+      controller.abort()
+
+      await expect(controller.promise).rejects.toBeInstanceOf(DownloadAbortedError)
+      expect(await readdir(directory)).toEqual([])
+    })
+  })
+
+  describe('Command-line Tool', () => {
+    let directory
+    const output = () => {
+      const stream = { text: '', isTTY: false, write: (chunk) => { stream.text += chunk } }
+      return stream
+    }
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'range-fetcher-'))
+    })
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true })
+    })
+
+    it('should save the file and exit with 0', async () => {
+      const path = join(directory, 'file.bin')
+      mockHead(4)
+      fetch.mockResolvedValueOnce(partialResponse(new Uint8Array([1, 2, 3, 4]).buffer, 0, 4))
+      const stdout = output()
+
+      const code = await runCli(['https://example.com/file.bin', '-o', path, '-H', 'X-Team: ops', '-t', 'secret'], { stdout, stderr: output() })
+
+      expect(code).toBe(EXIT_CODES.OK)
+      expect(stdout.text).toBe(`Saved ${path}\n`)
+      expect(new Uint8Array(await readFile(path))).toEqual(new Uint8Array([1, 2, 3, 4]))
+      expect(fetch.mock.calls[1][1].headers).toMatchObject({ 'X-Team': 'ops', Authorization: 'Bearer secret' })
+    })
+
+    it('should exit with the HTTP code when the server refuses the file', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 404, headers: { get: () => null } })
+      const stderr = output()
+
+      const code = await runCli(['https://example.com/missing.bin', '-o', join(directory, 'missing.bin')], { stdout: output(), stderr })
+
+      expect(code).toBe(EXIT_CODES.HTTP)
+      expect(stderr.text).toContain('range-fetch: Failed to get file info: 404')
+    })
+
+    it('should pause and save progress on Ctrl+C, then resume on the next run', async () => {
+      const path = join(directory, 'file.bin')
+      mockHead(4)
+      fetch.mockResolvedValueOnce(partialResponse(new Uint8Array([1, 2]).buffer, 0, 4))
+      // The second chunk stalls until pause() drops the request
+      fetch.mockImplementationOnce((url, init) => new Promise((resolve, reject) => {
+        const check = () => {
+          if (!init.signal.aborted) return setTimeout(check, 5)
+          reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }))
+        }
+        check()
+      }))
+      const stderr = output()
+
+      const running = runCli(['https://example.com/file.bin', '-o', path, '-c', '2'], { stdout: output(), stderr })
+      await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(3))
+      process.emit('SIGINT')
+
+      expect(await running).toBe(EXIT_CODES.ABORTED)
+      expect(stderr.text).toContain(`Paused, progress saved to ${path}.part`)
+      expect((await readdir(directory)).sort()).toEqual(['file.bin.part', 'file.bin.part.session.json'])
+
+      fetch.mockClear()
+      mockHead(4)
+      fetch.mockResolvedValueOnce(partialResponse(new Uint8Array([3, 4]).buffer, 2, 4))
+
+      expect(await runCli(['https://example.com/file.bin', '-o', path, '-c', '2'], { stdout: output(), stderr: output() })).toBe(EXIT_CODES.OK)
+      expect(fetch.mock.calls[1][1].headers.Range).toBe('bytes=2-3')
+      expect(new Uint8Array(await readFile(path))).toEqual(new Uint8Array([1, 2, 3, 4]))
+      expect(await readdir(directory)).toEqual(['file.bin'])
+    })
+
+    it('should exit with the usage code for bad arguments', async () => {
+      const stderr = output()
+
+      expect(await runCli(['https://example.com/a', '--chunk-size', 'huge'], { stdout: output(), stderr })).toBe(EXIT_CODES.USAGE)
+      expect(stderr.text).toContain('Invalid size: huge')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Range Reader', () => {
+    const bytes = Uint8Array.from({ length: 100 }, (_, i) => i)
+    const file = 'https://example.com/data.parquet'
+    const ranges = () => fetch.mock.calls.filter(([, init]) => init.method === 'GET').map(([, init]) => init.headers.Range)
+
+    beforeEach(() => {
+      mockRangeServer(bytes, { headers: { etag: '"v1"' } })
+    })
+
+    it('should read and slice arbitrary ranges through the block cache', async () => {
+      const reader = await createRangeReader(file, { blockSize: 16, token: 'secret' })
+
+      expect(reader.size).toBe(100)
+      expect(await reader.read(10, 20)).toEqual(bytes.slice(10, 30))
+      expect(await reader.read(20, 5)).toEqual(bytes.slice(20, 25))
+      expect(await reader.slice(-4)).toEqual(bytes.slice(96))
+      expect(await reader.read(98, 10)).toEqual(bytes.slice(98))
+      expect(await reader.read(200, 10)).toEqual(new Uint8Array(0))
+
+      expect(ranges()).toEqual(['bytes=0-31', 'bytes=96-99'])
+      expect(fetch.mock.calls[1][1].headers).toMatchObject({ Authorization: 'Bearer secret', 'If-Range': '"v1"' })
+      await expect(reader.read(-1, 4)).rejects.toBeInstanceOf(RangeError)
+    })
+
+    it('should coalesce reads made together into one request per run of blocks', async () => {
+      const reader = await createRangeReader(file, { blockSize: 8 })
+
+      const results = await Promise.all([reader.read(0, 8), reader.read(16, 8), reader.read(4, 10), reader.read(40, 8)])
+
+      expect(results).toEqual([bytes.slice(0, 8), bytes.slice(16, 24), bytes.slice(4, 14), bytes.slice(40, 48)])
+      expect(ranges()).toEqual(['bytes=0-23', 'bytes=40-47'])
+    })
+
+    it('should evict the least recently used blocks', async () => {
+      const reader = await createRangeReader(file, { blockSize: 10, cacheSize: 2 })
+
+      await reader.read(0, 1)
+      await reader.read(10, 1)
+      await reader.read(0, 1)
+      await reader.read(20, 1)
+      await reader.read(0, 1)
+      await reader.read(10, 1)
+
+      expect(ranges()).toEqual(['bytes=0-9', 'bytes=10-19', 'bytes=20-29', 'bytes=10-19'])
+    })
+
+    it('should retry failed ranges and refuse a changed file', async () => {
+      const reader = await createRangeReader(file, { blockSize: 10, retry: { baseDelay: 1 } })
+
+      fetch.mockRejectedValueOnce(new Error('Connection reset'))
+      expect(await reader.read(0, 10)).toEqual(bytes.slice(0, 10))
+      expect(ranges()).toEqual(['bytes=0-9', 'bytes=0-9'])
+
+      fetch.mockResolvedValueOnce(fullResponse(new ArrayBuffer(100), { etag: '"v2"' }))
+      await expect(reader.read(50, 10)).rejects.toBeInstanceOf(ResourceChangedError)
+    })
+
+    it('should tell a server that ignores ranges from a changed file', async () => {
+      const reader = await createRangeReader(file, { blockSize: 10 })
+
+      fetch.mockResolvedValueOnce(fullResponse(bytes.buffer, { etag: '"v1"' }))
+      await expect(reader.read(50, 10)).rejects.toBeInstanceOf(RangesIgnoredError)
+    })
+
+    it('should reject pending and later reads once aborted', async () => {
+      const reader = await createRangeReader(file)
+      fetch.mockImplementationOnce(() => new Promise(() => {}))
+
+      const pending = reader.read(0, 10)
+      await Promise.resolve()
+      reader.abort()
+
+      await expect(pending).rejects.toBeInstanceOf(DownloadAbortedError)
+      await expect(reader.read(0, 10)).rejects.toBeInstanceOf(DownloadAbortedError)
+    })
+  })
+
+  describe('Stream Output', () => {
+    const readAll = async (stream) => {
+      const reader = stream.getReader()
+      const pieces = []
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) break
+        pieces.push(...value)
+      }
+      return new Uint8Array(pieces)
+    }
+
+    it('should deliver the file in order through download.stream', async () => {
+      const bytes = Uint8Array.from({ length: 12 }, (_, i) => i + 1)
+      // The first chunk arrives last
+      mockRangeServer(bytes, { delayFor: (start) => start === 0 ? 20 : 0 })
+
+      const download = rangeRequestFetcher({ url: 'https://example.com/file.bin', stream: true, chunkSize: 4, concurrency: 3 })
+
+      expect(await readAll(download.stream)).toEqual(bytes)
+      await expect(download.promise).resolves.toBe(download.stream)
+    })
+
+    it('should pipe into a DecompressionStream', async () => {
+      const text = 'range requests '.repeat(100)
+      mockRangeServer(new Uint8Array(gzipSync(text)))
+
+      const download = rangeRequestFetcher({ url: 'https://example.com/file.txt.gz', stream: true, chunkSize: 64 })
+
+      const decompressed = download.stream.pipeThrough(new DecompressionStream('gzip')).pipeThrough(new TextDecoderStream())
+      let result = ''
+      for await (const piece of decompressed) result += piece
+      expect(result).toBe(text)
+    })
+
+    it('should error the stream when the download fails before it starts', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 404, headers: { get: () => null } })
+
+      const failed = rangeRequestFetcher({ url: 'https://example.com/missing.bin', stream: true })
+      await expect(failed.stream.getReader().read()).rejects.toBeInstanceOf(HttpStatusError)
+
+      mockRangeServer(4)
+      const aborted = rangeRequestFetcher({ url: 'https://example.com/file.bin', stream: true })
+      aborted.abort()
+      await expect(aborted.stream.getReader().read()).rejects.toBeInstanceOf(DownloadAbortedError)
+    })
+
+    it('should stop requesting ranges while the consumer falls behind', async () => {
+      const bytes = Uint8Array.from({ length: 16 }, (_, i) => i)
+      mockRangeServer(bytes)
+
+      const download = rangeRequestFetcher({
+        url: 'https://example.com/file.bin',
+        sink: readableStreamSink({ highWaterMark: 4 }),
+        chunkSize: 4
+      })
+      await new Promise(r => setTimeout(r, 50))
+
+      expect(fetch.mock.calls.length).toBeLessThan(4)
+      expect(await readAll(download.stream)).toEqual(bytes)
+      await download.promise
+    })
+
+    it('should abort the download when the stream is cancelled and error the stream on failure', async () => {
+      mockRangeServer(16)
+      const cancelled = rangeRequestFetcher({ url: 'https://example.com/file.bin', stream: true, chunkSize: 4 })
+      await cancelled.stream.cancel()
+
+      expect(cancelled.isAborted()).toBe(true)
+      await expect(cancelled.promise).rejects.toBeInstanceOf(DownloadAbortedError)
+
+      mockRangeServer(4, { respond: () => ({ ok: false, status: 404, headers: { get: () => null } }) })
+      const failed = rangeRequestFetcher({ url: 'https://example.com/file.bin', stream: true })
+
+      await expect(readAll(failed.stream)).rejects.toMatchObject({ name: 'HttpStatusError', status: 404 })
+    })
+
+    it('should keep the stream open when a single GET fails before its first byte', async () => {
+      const bytes = new Uint8Array([1, 2, 3])
+      mockHead(3, { 'accept-ranges': 'none' })
+      // The probe's answer drops before any data, the retry goes through
+      fetch.mockResolvedValueOnce({ ...fullResponse(bytes.buffer), body: new ReadableStream({ start: (controller) => controller.error(new TypeError('network error')) }) })
+      fetch.mockResolvedValueOnce(fullResponse(bytes.buffer))
+
+      const download = rangeRequestFetcher({ url: 'https://example.com/file.bin', stream: true, retry: { baseDelay: 1 } })
+
+      expect(await readAll(download.stream)).toEqual(bytes)
+      await expect(download.promise).resolves.toBe(download.stream)
+    })
+  })
+
+  describe('Service Worker Bridge', () => {
+    const bytes = Uint8Array.from({ length: 8 }, (_, i) => i + 1)
+    let worker
+    let registration
+
+    // Stands in for the service worker global scope and the page's registration of it
+    beforeEach(() => {
+      document.body.innerHTML = ''
+      worker = new EventTarget()
+      worker.registration = { scope: 'https://example.com/app/' }
+      handleDownloads({ worker })
+      registration = {
+        scope: worker.registration.scope,
+        active: { postMessage: (data, ports) => worker.dispatchEvent(Object.assign(new Event('message'), { data, ports })) }
+      }
+      mockRangeServer(bytes)
+    })
+
+    const request = (url) => {
+      let response = null
+      worker.dispatchEvent(Object.assign(new Event('fetch'), {
+        request: { url },
+        respondWith: (value) => { response = value },
+        waitUntil: () => {}
+      }))
+      return response
+    }
+
+    const frameUrl = async () => {
+      await vi.waitFor(() => expect(document.querySelector('iframe')).not.toBeNull())
+      return document.querySelector('iframe').src
+    }
+
+    it('should serve the download from a synthetic URL with attachment headers', async () => {
+      const onProgress = vi.fn()
+      const download = serviceWorkerDownload({ url: 'https://example.com/report.pdf', fileName: 'Résumé.pdf', chunkSize: 4, registration, onProgress })
+
+      const url = await frameUrl()
+      expect(url).toBe(`https://example.com/app/range-request-fetcher/${download.id}/R%C3%A9sum%C3%A9.pdf`)
+
+      const response = await request(url)
+      expect(response.headers.get('Content-Disposition')).toBe(`attachment; filename="R_sum_.pdf"; filename*=UTF-8''R%C3%A9sum%C3%A9.pdf`)
+      expect(response.headers.get('Content-Length')).toBe('8')
+      expect(new Uint8Array(await response.arrayBuffer())).toEqual(bytes)
+
+      await download.promise
+      expect(onProgress).toHaveBeenLastCalledWith(100)
+      expect(await request(url).status).toBe(404)
+    })
+
+    it('should report failures and cancellations to the page', async () => {
+      const refused = serviceWorkerDownload({ url: 'https://example.com/missing.pdf', registration })
+      fetch.mockResolvedValue({ ok: false, status: 404, headers: { get: () => null } })
+
+      const response = await request(await frameUrl())
+      expect(response.status).toBe(502)
+      await expect(refused.promise).rejects.toMatchObject({ name: 'HttpStatusError', status: 404 })
+
+      const cancelled = serviceWorkerDownload({ url: 'https://example.com/report.pdf', registration })
+      await expect(cancelled.abort()).resolves.toBeUndefined()
+
+      await expect(cancelled.promise).rejects.toBeInstanceOf(DownloadAbortedError)
+      expect(request(`https://example.com/app/range-request-fetcher/${cancelled.id}/download`).status).toBe(404)
+    })
+
+    it('should apply a pause sent before the browser asked for the file', async () => {
+      const download = serviceWorkerDownload({ url: 'https://example.com/report.pdf', chunkSize: 4, registration })
+      const url = await frameUrl()
+      await download.pause()
+      await new Promise(r => setTimeout(r, 10))
+
+      const response = await request(url)
+      await new Promise(r => setTimeout(r, 50))
+      expect(download.isPaused()).toBe(true)
+      expect(fetch.mock.calls.filter(([, init]) => init.method === 'GET')).toEqual([])
+
+      await download.resume()
+      expect(new Uint8Array(await response.arrayBuffer())).toEqual(bytes)
+      await download.promise
+    })
+
+    it('should drop downloads whose URL is never requested', async () => {
+      const idle = new EventTarget()
+      idle.registration = { scope: 'https://example.com/app/' }
+      handleDownloads({ worker: idle, claimTimeout: 20 })
+      const idleRegistration = {
+        scope: idle.registration.scope,
+        active: { postMessage: (data, ports) => idle.dispatchEvent(Object.assign(new Event('message'), { data, ports })) }
+      }
+
+      const download = serviceWorkerDownload({ url: 'https://example.com/report.pdf', registration: idleRegistration })
+
+      await expect(download.promise).rejects.toThrow(`Download ${download.id} was never requested`)
+      expect(fetch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Multi-range Requests', () => {
+    const bytes = Uint8Array.from({ length: 100 }, (_, i) => i)
+    const ranges = () => fetch.mock.calls.filter(([, init]) => init.method === 'GET').map(([, init]) => init.headers.Range)
+    const requestedRanges = ({ headers }) => headers.Range.replace('bytes=', '').split(',').map(range => range.split('-').map(Number))
+
+    // respondToMany answers requests for more than one range
+    const mockFile = (respondToMany) => mockRangeServer(bytes, {
+      headers: { etag: '"v1"' },
+      respond: (start, end, init) => init.headers.Range.includes(',') ? respondToMany(requestedRanges(init)) : undefined
+    })
+
+    it('should read separate runs of blocks through one multipart request', async () => {
+      mockFile((asked) => multipartResponse(bytes, asked, { etag: '"v1"' }))
+      const reader = await createRangeReader('https://example.com/data.parquet', { blockSize: 8, multiRange: true })
+
+      const results = await Promise.all([reader.read(0, 8), reader.read(44, 8)])
+
+      expect(results).toEqual([bytes.slice(0, 8), bytes.slice(44, 52)])
+      expect(ranges()).toEqual(['bytes=0-7,40-55'])
+      expect(fetch.mock.calls[1][1].headers['If-Range']).toBe('"v1"')
+    })
+
+    it('should fall back to one request per run when the server ignores multiple ranges', async () => {
+      mockFile(() => ({ ok: true, status: 200, headers: { get: () => null }, body: null, arrayBuffer: vi.fn().mockResolvedValue(bytes.buffer) }))
+      const reader = await createRangeReader('https://example.com/data.parquet', { blockSize: 8, multiRange: true })
+
+      expect(await Promise.all([reader.read(0, 8), reader.read(40, 8)])).toEqual([bytes.slice(0, 8), bytes.slice(40, 48)])
+      expect(await Promise.all([reader.read(16, 8), reader.read(64, 8)])).toEqual([bytes.slice(16, 24), bytes.slice(64, 72)])
+
+      // Only the first batch is tried as a multi-range request
+      expect(ranges()).toEqual(['bytes=0-7,40-47', 'bytes=0-7', 'bytes=40-47', 'bytes=16-23', 'bytes=64-71'])
+    })
+
+    const resumeWithHoles = (options = {}) => {
+      const sessionStore = {
+        get: vi.fn(async () => ({
+          id: 'holes',
+          url: 'https://example.com/data.bin',
+          fileName: 'data.bin',
+          size: 100,
+          validator: { etag: '"v1"' },
+          completed: [[0, 9], [20, 29], [40, 89]],
+          sink: null
+        })),
+        put: vi.fn(async () => {}),
+        delete: vi.fn(async () => {}),
+        list: vi.fn(async () => [])
+      }
+      return rangeRequestFetcher.resume('holes', { sessionStore, sink: memorySink({ as: 'arraybuffer' }), chunkSize: 32, multiRange: true, ...options })
+    }
+
+    it('should fill the gaps of a resumed download with one multipart request', async () => {
+      mockFile((asked) => multipartResponse(bytes, [...asked].reverse(), { etag: '"v1"' }))
+
+      const received = new Uint8Array(await resumeWithHoles().promise)
+
+      expect(ranges()).toEqual(['bytes=10-19,30-39,90-99'])
+      expect(fetch.mock.calls[1][1].headers).toMatchObject({ 'If-Range': '"v1"', 'Cache-Control': 'no-cache' })
+      for (const [start, end] of [[10, 19], [30, 39], [90, 99]]) expect(received.slice(start, end + 1)).toEqual(bytes.slice(start, end + 1))
+    })
+
+    it('should download the gaps range by range when the multipart answer falls short', async () => {
+      // The server answers with only the first range asked for
+      mockFile(([[start, end]]) => partialResponse(bytes.slice(start, end + 1).buffer, start, bytes.length, { etag: '"v1"' }))
+
+      const received = new Uint8Array(await resumeWithHoles().promise)
+
+      expect(ranges()).toEqual(['bytes=10-19,30-39,90-99', 'bytes=10-19', 'bytes=30-39', 'bytes=90-99'])
+      expect(received.slice(90)).toEqual(bytes.slice(90))
+    })
+
+    it('should not send multi-range requests unless asked to', async () => {
+      mockFile(() => { throw new Error('Unexpected multi-range request') })
+
+      await resumeWithHoles({ multiRange: false }).promise
+
+      expect(ranges()).toEqual(['bytes=10-19', 'bytes=30-39', 'bytes=90-99'])
+    })
+  })
+
+  describe('Download Control Integration', () => {
+    it('should abort download and reject promise', async () => {
+      const fileSize = 1000000
+      const onStatus = vi.fn()
+
+      mockHead(fileSize)
+
       // Mock slow download
       fetch.mockImplementation(() => 
         new Promise(resolve => setTimeout(resolve, 1000))
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi } from 'vitest'
 import { rangeRequestFetcher } from '../index.js'
+import { mockHead, partialResponse, requestedRange } from './setup.js'
 
 describe('Integration Tests', () => {
   it('should handle a complete download workflow', async () => {
@@ -12,17 +13,14 @@ describe('Integration Tests', () => {
     const onProgress = (percent) => progressUpdates.push(percent)
     const onStatus = (status) => statusUpdates.push(status)
 
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
-    })
+    mockHead(fileSize)
 
     for (let i = 0; i < 3; i++) {
       const chunkSize = i < 2 ? 100 * 1024 * 1024 : 50 * 1024 * 1024
-      fetch.mockResolvedValueOnce({
-        ok: true,
-        arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(chunkSize))
-      })
+      // Slow enough for a progress update between chunks
+      fetch.mockImplementationOnce(() => new Promise(resolve => setTimeout(() => resolve(
+        partialResponse(new ArrayBuffer(chunkSize), i * 100 * 1024 * 1024, fileSize)
+      ), 30)))
     }
 
     const download = rangeRequestFetcher({
@@ -31,6 +29,7 @@ describe('Integration Tests', () => {
       token: 'auth-token',
       chunkSize,
       maxRetries: 3,
+      progressInterval: 10,
       onProgress,
       onStatus,
       headers: {
@@ -69,21 +68,12 @@ describe('Integration Tests', () => {
     const statusUpdates = []
     const onStatus = (status) => statusUpdates.push(status)
 
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
-    })
+    mockHead(fileSize)
 
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(chunkSize))
-    })
+    fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(chunkSize), 0, fileSize))
 
     fetch.mockRejectedValueOnce(new Error('Temporary network error'))
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(chunkSize))
-    })
+    fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(chunkSize), chunkSize, fileSize))
 
     const download = rangeRequestFetcher({
       url: 'https://example.com/test-file.zip',
@@ -109,20 +99,14 @@ describe('Integration Tests', () => {
     const onProgress = (percent) => progressUpdates.push(percent)
     const onStatus = (status) => statusUpdates.push(status)
 
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
-    })
+    mockHead(fileSize)
 
     // Mock chunks with delay to allow pause/resume testing
     for (let i = 0; i < 3; i++) {
-      fetch.mockImplementation(() => {
+      fetch.mockImplementation((url, init) => {
         return new Promise((resolve) => {
           setTimeout(() => {
-            resolve({
-              ok: true,
-              arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(chunkSize))
-            })
+            resolve(partialResponse(new ArrayBuffer(chunkSize), requestedRange(init)[0], fileSize))
           }, 50)
         })
       })
@@ -165,19 +149,13 @@ describe('Integration Tests', () => {
     const statusUpdates = []
     const onStatus = (status) => statusUpdates.push(status)
 
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
-    })
+    mockHead(fileSize)
 
     // Mock with delay to allow abort testing
-    fetch.mockImplementation(() => {
+    fetch.mockImplementation((url, init) => {
       return new Promise((resolve) => {
         setTimeout(() => {
-          resolve({
-            ok: true,
-            arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(chunkSize))
-          })
+          resolve(partialResponse(new ArrayBuffer(chunkSize), requestedRange(init)[0], fileSize))
         }, 100)
       })
     })
@@ -210,23 +188,14 @@ describe('Integration Tests', () => {
     const statusUpdates = []
     const onStatus = (status) => statusUpdates.push(status)
 
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      headers: { get: vi.fn().mockReturnValue(fileSize.toString()) }
-    })
+    mockHead(fileSize)
 
     // First chunk succeeds
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(chunkSize))
-    })
+    fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(chunkSize), 0, fileSize))
 
     // Second chunk fails first, then succeeds
     fetch.mockRejectedValueOnce(new Error('Network error'))
-    fetch.mockResolvedValueOnce({
-      ok: true,
-      arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(chunkSize))
-    })
+    fetch.mockResolvedValueOnce(partialResponse(new ArrayBuffer(chunkSize), chunkSize, fileSize))
 
     const download = rangeRequestFetcher({
       url: 'https://example.com/test-file.zip',
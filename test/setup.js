@@ -13,6 +13,10 @@ global.window = {
   showSaveFilePicker: vi.fn().mockResolvedValue(mockFileHandle)
 }
 
+// Node's own fetch and AbortController, for tests that talk to a local HTTP server
+export const nativeFetch = globalThis.fetch
+export const NativeAbortController = globalThis.AbortController
+
 // Properly mock fetch with vi.fn() and default response
 global.fetch = vi.fn().mockResolvedValue({
   ok: false,
@@ -26,6 +30,99 @@ global.fetch = vi.fn().mockResolvedValue({
   arrayBuffer: vi.fn().mockResolvedValue(new ArrayBuffer(0))
 })
 
+// Queues the HEAD answer for a file of `size` bytes
+export const mockHead = (size, headers) => fetch.mockResolvedValueOnce(headResponse(size, headers))
+
+// A 206 answer to a chunk request, as a server honoring Range sends it
+export const partialResponse = (body, start, total, headers = {}) => {
+  const all = {
+    'content-range': `bytes ${start}-${start + body.byteLength - 1}/${total}`,
+    ...headers
+  }
+  return {
+    ok: true,
+    status: 206,
+    headers: { get: (name) => all[name.toLowerCase()] || null },
+    arrayBuffer: vi.fn().mockResolvedValue(body)
+  }
+}
+
+// A multipart/byteranges answer to a multi-range request, one part per range
+export const multipartResponse = (bytes, ranges, headers = {}, boundary = 'THIS_STRING_SEPARATES') => {
+  const encoder = new TextEncoder()
+  const pieces = ranges.flatMap(([start, end]) => [
+    encoder.encode(`\r\n--${boundary}\r\nContent-Type: application/octet-stream\r\nContent-Range: bytes ${start}-${end}/${bytes.length}\r\n\r\n`),
+    bytes.slice(start, end + 1)
+  ])
+  pieces.push(encoder.encode(`\r\n--${boundary}--\r\n`))
+  const body = new Uint8Array(pieces.reduce((length, piece) => length + piece.length, 0))
+  pieces.reduce((offset, piece) => {
+    body.set(piece, offset)
+    return offset + piece.length
+  }, 0)
+
+  const all = { 'content-type': `multipart/byteranges; boundary=${boundary}`, ...headers }
+  return {
+    ok: true,
+    status: 206,
+    headers: { get: (name) => all[name.toLowerCase()] || null },
+    arrayBuffer: vi.fn().mockResolvedValue(body.buffer)
+  }
+}
+
+export const requestedRange = ({ headers }) => headers.Range.replace('bytes=', '').split('-').map(Number)
+
+// The HEAD answer of a server that honors Range for a file of `size` bytes
+export const headResponse = (size, headers = {}) => {
+  const all = { 'content-length': String(size), 'accept-ranges': 'bytes', ...headers }
+  return { ok: true, status: 200, headers: { get: (name) => all[name.toLowerCase()] ?? null } }
+}
+
+// A 200 answer carrying the whole file, as a server ignoring Range sends it
+export const fullResponse = (body, headers = {}) => {
+  const all = { 'content-length': String(body.byteLength), ...headers }
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: (name) => all[name.toLowerCase()] ?? null },
+    arrayBuffer: vi.fn().mockResolvedValue(body)
+  }
+}
+
+// A fetch implementation serving `bytes` (or that many zero bytes) to HEAD, plain and single-range GETs.
+// `headers` go out with every answer, `delayFor(start)` holds a range back, `fail(init)` may return
+// a promise to settle with instead, and `respond(start, end, init)` may return a different answer.
+// The returned function counts the requests in flight
+export const rangeServer = (bytes, { headers = {}, delayFor = () => 0, fail = () => null, respond = () => undefined } = {}) => {
+  const data = typeof bytes === 'number' ? new Uint8Array(bytes) : bytes
+  const serve = (url, init) => {
+    if (init.method === 'HEAD') return Promise.resolve(headResponse(data.length, headers))
+    const failed = fail(init)
+    if (failed) return failed
+    if (!init.headers.Range) return Promise.resolve(fullResponse(data.slice().buffer, headers))
+
+    const [start, end] = requestedRange(init)
+    const answer = () => {
+      serve.inFlight--
+      return respond(start, end, init) ?? partialResponse(data.slice(start, end + 1).buffer, start, data.length, headers)
+    }
+    serve.inFlight++
+    serve.maxInFlight = Math.max(serve.maxInFlight, serve.inFlight)
+
+    const delay = delayFor(start)
+    if (!delay) return Promise.resolve(answer())
+    return new Promise(resolve => setTimeout(() => resolve(answer()), delay))
+  }
+  return Object.assign(serve, { inFlight: 0, maxInFlight: 0 })
+}
+
+// Installs a rangeServer as the fetch mock and returns it
+export const mockRangeServer = (bytes, options) => {
+  const serve = rangeServer(bytes, options)
+  fetch.mockImplementation(serve)
+  return serve
+}
+
 global.AbortController = class {
   constructor() {
     this.signal = { aborted: false }
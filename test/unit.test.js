@@ -1,5 +1,9 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { rangeRequestFetcher } from '../index.js'
+import { createHash } from '../lib/hash.js'
+import { parseCliArgs, parseSize, exitCodeFor, formatProgress, EXIT_CODES } from '../lib/cli.js'
+import { multipartBoundary, parseByteranges } from '../lib/multipart.js'
+import { HttpStatusError, NetworkError, IntegrityError, RetryExhaustedError, DownloadAbortedError } from '../index.js'
 
 describe('Unit Tests', () => {
   beforeEach(() => {
@@ -89,4 +93,106 @@ describe('Unit Tests', () => {
     // Wait for the promise to reject and catch the expected error
     await expect(controller.promise).rejects.toThrow('Download aborted')
   })
+
+  it('should hash incrementally with exportable state', () => {
+    const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+    const abc = new TextEncoder().encode('abc')
+
+    const sha256 = createHash('sha256')
+    sha256.update(abc.subarray(0, 1))
+    const resumed = createHash('sha256', JSON.parse(JSON.stringify(sha256.exportState())))
+    resumed.update(abc.subarray(1))
+
+    expect(toHex(resumed.digest())).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+
+    const md5 = createHash('md5')
+    md5.update(abc)
+    expect(toHex(md5.digest())).toBe('900150983cd24fb0d6963f7d28e17f72')
+  })
+
+  it('should parse range-fetch arguments into fetcher options', () => {
+    const { resume, options } = parseCliArgs([
+      'https://example.com/files/disk%20image.iso',
+      '-c', '512K',
+      '-j', '4',
+      '--retries', '3',
+      '-H', 'X-Team: ops',
+      '-H', 'Accept: */*',
+      '--token', 'secret',
+      '--checksum', 'sha256-abc=',
+      '--no-resume'
+    ])
+
+    expect(resume).toBe(false)
+    expect(options).toEqual({
+      url: 'https://example.com/files/disk%20image.iso',
+      path: 'disk image.iso',
+      headers: { 'X-Team': 'ops', Accept: '*/*' },
+      chunkSize: 512 * 1024,
+      concurrency: 4,
+      maxRetries: 3,
+      token: 'secret',
+      integrity: 'sha256-abc='
+    })
+    expect(parseCliArgs(['https://example.com/', '-o', 'out.bin']).options.path).toBe('out.bin')
+    expect(parseSize('1.5M')).toBe(1.5 * 1024 * 1024)
+    expect(() => parseCliArgs([])).toThrow('Expected exactly one URL')
+    expect(() => parseCliArgs(['https://example.com/a', '-H', 'broken'])).toThrow('Invalid header')
+    expect(() => parseCliArgs(['https://example.com/a', '-r', 'many'])).toThrow('--retries expects a whole number')
+    expect(() => parseCliArgs(['https://example.com/a', '-j', '0'])).toThrow('--concurrency expects a whole number of at least 1, got 0')
+    expect(() => parseCliArgs(['https://example.com/a', '-r', '0'])).toThrow('--retries expects a whole number of at least 1, got 0')
+  })
+
+  it('should keep the default range-fetch output inside the working directory', () => {
+    const output = (url) => parseCliArgs([url]).options.path
+
+    expect(output('https://example.com/x/..%2F..%2Ftmp%2Fevil')).toBe('evil')
+    expect(output('https://example.com/x/..%5C..%5Cevil.exe')).toBe('evil.exe')
+    expect(output('https://example.com/x/%2E%2E')).toBe('download')
+    expect(output('https://example.com/x/%E0%A4%A')).toBe('%E0%A4%A')
+  })
+
+  it('should map failures to range-fetch exit codes', () => {
+    const http = new HttpStatusError('Not found', { status: 404, url: 'https://example.com/a' })
+    const network = new NetworkError('Connection reset')
+
+    expect(exitCodeFor(http)).toBe(EXIT_CODES.HTTP)
+    expect(exitCodeFor(new RetryExhaustedError('Gave up', { attempts: 3, cause: network }))).toBe(EXIT_CODES.NETWORK)
+    expect(exitCodeFor(new RetryExhaustedError('Gave up', { attempts: 3, cause: http }))).toBe(EXIT_CODES.HTTP)
+    expect(exitCodeFor(new IntegrityError('Bad hash', { algorithm: 'sha256' }))).toBe(EXIT_CODES.INTEGRITY)
+    expect(exitCodeFor(new DownloadAbortedError())).toBe(EXIT_CODES.ABORTED)
+    expect(exitCodeFor(new Error('Disk full'))).toBe(EXIT_CODES.ERROR)
+  })
+
+  it('should format a progress line with speed and ETA', () => {
+    const stats = { loaded: 512 * 1024, total: 1024 * 1024, percent: 50, bytesPerSecond: 2048, eta: 256 }
+
+    expect(formatProgress(stats, 120)).toBe(`[${'#'.repeat(20)}${'-'.repeat(20)}]  50% 512.0 KB/1.0 MB 2.0 KB/s ETA 4m16s`)
+    expect(formatProgress(stats, 60)).toMatch(/^\[#{9}-{9}\] /)
+    expect(formatProgress({ ...stats, total: null, percent: null, eta: null })).toBe('512.0 KB 2.0 KB/s')
+  })
+
+  it('should split multipart/byteranges bodies by their Content-Range lengths', () => {
+    const encoder = new TextEncoder()
+    // The second part's data contains the boundary itself, and the parts come in reverse order
+    const body = encoder.encode([
+      '--abc',
+      'Content-Range: bytes 10-14/20',
+      '',
+      '--abc',
+      '--abc',
+      'Content-Type: text/plain',
+      'Content-Range: bytes 0-2/20',
+      '',
+      'xyz',
+      '--abc--',
+      ''
+    ].join('\r\n'))
+
+    expect(multipartBoundary('multipart/byteranges; boundary="abc"')).toBe('abc')
+    expect(multipartBoundary('application/octet-stream')).toBe(null)
+    expect(parseByteranges(body, 'abc').map(({ start, end, total, bytes }) => [start, end, total, new TextDecoder().decode(bytes)]))
+      .toEqual([[10, 14, 20, '--abc'], [0, 2, 20, 'xyz']])
+    expect(() => parseByteranges(body.subarray(0, 40), 'abc')).toThrow('Truncated multipart/byteranges body')
+  })
 })